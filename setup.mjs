@@ -6,10 +6,18 @@
  * and deploys a graph-data API endpoint for the visualizer.
  *
  * Usage:
- *   node setup-visualizer.mjs
+ *   node setup.mjs [deploy|status|update|remove|export|audit|snapshot|serve] [options]
+ *
+ * Every option can also come from a XANO_* environment variable or from a
+ * saved visualizer.config.json. Run with --help for the full list.
  */
 
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as http from 'http';
+import * as path from 'path';
 import * as readline from 'readline';
+import { fileURLToPath } from 'url';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Utilities
@@ -30,8 +38,312 @@ function promptMulti(question) {
     });
 }
 
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf-8').trim();
+}
+
 const sleep = ms => new Promise(r => setTimeout(r, ms));
-const RATE_LIMIT_MS = 1500;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Options: flags > XANO_* env vars > visualizer.config.json > prompts
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CONFIG_FILE = 'visualizer.config.json';
+const EXPORT_DIR = 'visualizer-export';
+const MANIFEST_FILE = 'manifest.json';
+const SNAPSHOT_FILE = 'graph-data.json';
+const DEFAULT_PORT = 4173;
+const API_GROUP_NAME = 'Visualizer';
+const ACCESS_MODES = ['public', 'secret', 'user'];
+const COMMANDS = ['deploy', 'status', 'update', 'remove', 'export', 'audit', 'snapshot', 'serve'];
+const ENDPOINT_NAMES = ['graph-data', 'visualizer'];
+
+// Keep in step with package.json. Written into every deployed endpoint so
+// `status` can tell which setup.mjs generated it.
+const VERSION = '1.0.0';
+// Written into the API group's description, so a later run can tell our
+// group apart from one somebody else happened to call "Visualizer"
+const MANAGED_MARKER = 'Managed by xano-db-visualizer';
+
+// Flag name → value kind. Anything not listed here is rejected.
+const OPTIONS = {
+    'base-url': 'string',
+    'workspace': 'string',
+    'branch': 'string',
+    'datasources': 'list',
+    'datasource': 'string',
+    'tables': 'list',
+    'exclude': 'list',
+    'include-system': 'boolean',
+    'yes': 'boolean',
+    'config': 'string',
+    'save-config': 'boolean',
+    'api-key-stdin': 'boolean',
+    'access': 'string',
+    'auth-table': 'string',
+    'allow': 'list',
+    'deny': 'list',
+    'dry-run': 'boolean',
+    'out': 'string',
+    'from': 'string',
+    'snapshot': 'string',
+    'relationships': 'string',
+    'format': 'string',
+    'port': 'string',
+    'rate': 'string',
+    'timeout': 'string',
+    'verbose': 'boolean',
+    'help': 'boolean',
+};
+const SHORT_OPTIONS = { y: 'yes', h: 'help' };
+const SECRET_FLAGS = ['api-key', 'token', 'key', 'meta-key'];
+
+function printUsage() {
+    console.log(`Usage: node setup.mjs [command] [options]
+
+Commands:
+  deploy                Discover tables and deploy the visualizer (default)
+  status                Show what is deployed and whether it is out of date
+  update                Regenerate and replace the deployed endpoints
+  remove                Delete the endpoints and the ${API_GROUP_NAME} API group
+  export                Write a graph-data snapshot as GraphML, GEXF, DOT or JSON
+  audit                 Report broken references in a snapshot as JSON or Markdown
+  snapshot              Save the deployed graph-data to a file (--out, default: ${SNAPSHOT_FILE})
+  serve                 Run the visualizer locally on a --snapshot, or proxy the workspace
+
+Options:
+  --base-url <url>      Xano instance URL                   (XANO_BASE_URL)
+  --workspace <id|name> Workspace to deploy to              (XANO_WORKSPACE)
+  --branch <label>      Branch to deploy to (default: live)  (XANO_BRANCH)
+  --datasources <a,b>   Data sources the visualizer may read (XANO_DATASOURCES)
+  --datasource <name>   The one it opens on; snapshot: the one to read
+                        (default: live)                      (XANO_DATASOURCE)
+  --tables <a,b,...>    Only include these tables           (XANO_TABLES)
+  --exclude <a,b,...>   Leave these tables out              (XANO_EXCLUDE)
+  --include-system      Include queue/system tables         (XANO_INCLUDE_SYSTEM)
+  -y, --yes             Never prompt; use defaults          (XANO_YES)
+  --config <file>       Settings file (default: ${CONFIG_FILE})
+  --save-config         Write the chosen settings to the settings file
+  --api-key-stdin       Read the Metadata API key from stdin
+  --access <mode>       public | secret | user                (XANO_ACCESS)
+  --auth-table <name>   Auth table for --access user         (XANO_AUTH_TABLE)
+  --allow <t.f,...>     Only return these fields of a table  (XANO_ALLOW)
+  --deny <t.f,...>      Never return these fields            (XANO_DENY)
+  --dry-run             Write the XanoScript to disk instead of deploying
+  --out <dir>           Where --dry-run writes (default: ${EXPORT_DIR})
+  --from <dir>          Deploy the reviewed files from a --dry-run export
+  --snapshot <file>     export, audit, serve: graph-data snapshot to read
+  --relationships <file>
+                        Corrections to detected references  (XANO_RELATIONSHIPS)
+  --format <name>       export: ${EXPORT_FORMATS.join(' | ')}; audit: ${AUDIT_FORMATS.join(' | ')}
+                        (default: from the --out extension, else json)
+                        export and audit write to --out <file>, or to stdout
+  --port <n>            serve: local port (default: ${DEFAULT_PORT})
+  --rate <n>            Requests per minute (default: ${DEFAULT_RATE})    (XANO_RATE)
+  --timeout <s>         Request timeout in seconds (${DEFAULT_TIMEOUT_S})      (XANO_TIMEOUT)
+  --verbose             Trace every request on stderr        (XANO_VERBOSE)
+  -h, --help            Show this help
+
+The Metadata API key is read from XANO_API_KEY, from stdin with
+--api-key-stdin, or prompted for. It is never accepted as a flag and
+never written to the settings file. The same goes for the shared secret
+of --access secret (XANO_VISUALIZER_SECRET, generated when unset).
+snapshot sends that secret, or the user token in XANO_AUTH_TOKEN for
+--access user, to the deployed graph-data endpoint.`);
+}
+
+function splitList(value) {
+    if (value == null) return undefined;
+    return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function parseBool(value) {
+    if (value == null || value === '') return undefined;
+    return ['1', 'true', 'yes', 'y'].includes(String(value).toLowerCase());
+}
+
+function parsePositive(value, flag) {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (!(n > 0)) throw new Error(`${flag} must be a positive number, got "${value}"`);
+    return n;
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        let name, value;
+        if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            name = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+            value = eq === -1 ? undefined : arg.slice(eq + 1);
+        } else if (/^-[a-z]$/i.test(arg) && SHORT_OPTIONS[arg[1]]) {
+            name = SHORT_OPTIONS[arg[1]];
+        } else if (!arg.startsWith('-') && args.command === undefined) {
+            if (!COMMANDS.includes(arg)) throw new Error(`Unknown command: ${arg} (expected ${COMMANDS.join(', ')})`);
+            args.command = arg;
+            continue;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+
+        if (SECRET_FLAGS.includes(name)) {
+            throw new Error(`--${name} is not supported: pass the Metadata API key via XANO_API_KEY or --api-key-stdin so it never lands in shell history`);
+        }
+        const kind = OPTIONS[name];
+        if (!kind) throw new Error(`Unknown option: --${name} (see --help)`);
+
+        if (kind === 'boolean') {
+            args[name] = value === undefined ? true : parseBool(value);
+            continue;
+        }
+        if (value === undefined) {
+            value = argv[++i];
+            if (value === undefined || value.startsWith('--')) throw new Error(`--${name} needs a value`);
+        }
+        args[name] = kind === 'list' ? splitList(value) : value;
+    }
+    return args;
+}
+
+function loadConfigFile(path, required, quiet = false) {
+    if (!fs.existsSync(path)) {
+        if (required) throw new Error(`Config file not found: ${path}`);
+        return {};
+    }
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(path, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Could not parse ${path}: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${path} must contain a JSON object`);
+    if ('apiKey' in data || 'token' in data) {
+        throw new Error(`${path} contains an API key — remove it and use XANO_API_KEY instead`);
+    }
+    if ('secret' in data) {
+        throw new Error(`${path} contains the visualizer secret — remove it and use XANO_VISUALIZER_SECRET instead`);
+    }
+    if (!quiet) console.log(`Using settings from ${path}\n`);
+    return data;
+}
+
+function saveConfigFile(path, settings) {
+    const data = {
+        baseUrl: settings.baseUrl,
+        workspace: settings.workspace,
+        branch: settings.branch,
+        datasources: settings.datasources,
+        datasource: settings.datasource,
+        tables: settings.tables,
+        access: settings.access,
+        authTable: settings.authTable,
+        relationships: settings.relationships,
+        fields: Object.keys(settings.fields).length ? settings.fields : undefined,
+        deployments: Object.keys(settings.deployments).length ? settings.deployments : undefined,
+    };
+    fs.writeFileSync(path, JSON.stringify(data, null, 4) + '\n', 'utf-8');
+    console.log(`\n✓ Settings saved to ${path}`);
+}
+
+const deploymentKey = config => `${config.baseUrl}#${config.workspaceId}${config.branch ? `@${config.branch}` : ''}`;
+
+// Remembers, per workspace, which API group and endpoint IDs were deployed so
+// update and remove can match them by ID. Only a settings file that already
+// exists is touched — deploying never creates one behind the user's back.
+function recordDeployment(settings, config, record) {
+    if (!fs.existsSync(settings.configPath)) return;
+    const data = JSON.parse(fs.readFileSync(settings.configPath, 'utf-8'));
+    const deployments = data.deployments || {};
+    if (record) deployments[deploymentKey(config)] = record;
+    else delete deployments[deploymentKey(config)];
+    data.deployments = Object.keys(deployments).length ? deployments : undefined;
+    fs.writeFileSync(settings.configPath, JSON.stringify(data, null, 4) + '\n', 'utf-8');
+    settings.deployments = deployments;
+}
+
+// Merges `table.field` entries from --allow/--deny into the config file's
+// { table: { allow: [...], deny: [...] } } map.
+function parseFieldRules(fileRules, allow, deny) {
+    const rules = JSON.parse(JSON.stringify(fileRules || {}));
+    const add = (entries, kind) => (entries || []).forEach(entry => {
+        const dot = entry.lastIndexOf('.');
+        if (dot < 1 || dot === entry.length - 1) throw new Error(`Field rule "${entry}" must look like table.field`);
+        const rule = rules[entry.slice(0, dot)] = rules[entry.slice(0, dot)] || {};
+        (rule[kind] = rule[kind] || []).push(entry.slice(dot + 1));
+    });
+    add(allow, 'allow');
+    add(deny, 'deny');
+    return rules;
+}
+
+function resolveSettings(args, env) {
+    const configPath = args.config || env.XANO_CONFIG || CONFIG_FILE;
+    const file = loadConfigFile(configPath, Boolean(args.config || env.XANO_CONFIG));
+    const pick = (...values) => values.find(v => v !== undefined);
+
+    const command = args.command || 'deploy';
+    const settings = {
+        command,
+        configPath,
+        configLoaded: Object.keys(file).length > 0,
+        saveConfig: Boolean(args['save-config']),
+        baseUrl: pick(args['base-url'], env.XANO_BASE_URL, file.baseUrl),
+        workspace: pick(args.workspace, env.XANO_WORKSPACE, file.workspace),
+        branch: pick(args.branch, env.XANO_BRANCH, file.branch),
+        datasources: pick(args.datasources, splitList(env.XANO_DATASOURCES), file.datasources),
+        datasource: pick(args.datasource, env.XANO_DATASOURCE, file.datasource),
+        tables: pick(args.tables, splitList(env.XANO_TABLES), file.tables),
+        exclude: pick(args.exclude, splitList(env.XANO_EXCLUDE), file.exclude),
+        includeSystem: pick(args['include-system'], parseBool(env.XANO_INCLUDE_SYSTEM), file.includeSystem),
+        yes: pick(args.yes, parseBool(env.XANO_YES), false),
+        token: env.XANO_API_KEY,
+        tokenFromStdin: Boolean(args['api-key-stdin']),
+        access: pick(args.access, env.XANO_ACCESS, file.access),
+        authTable: pick(args['auth-table'], env.XANO_AUTH_TABLE, file.authTable),
+        secret: env.XANO_VISUALIZER_SECRET,
+        authToken: env.XANO_AUTH_TOKEN,
+        fields: parseFieldRules(file.fields, pick(args.allow, splitList(env.XANO_ALLOW)), pick(args.deny, splitList(env.XANO_DENY))),
+        dryRun: Boolean(args['dry-run'] || (args.out && command !== 'snapshot')),
+        outDir: args.out || EXPORT_DIR,
+        fromDir: args.from,
+        out: args.out,
+        snapshot: args.snapshot,
+        relationships: pick(args.relationships, env.XANO_RELATIONSHIPS, file.relationships),
+        port: args.port,
+        rate: parsePositive(pick(args.rate, env.XANO_RATE), '--rate'),
+        timeout: parsePositive(pick(args.timeout, env.XANO_TIMEOUT), '--timeout'),
+        verbose: Boolean(pick(args.verbose, parseBool(env.XANO_VERBOSE), false)),
+        deployments: file.deployments || {},
+    };
+    if (settings.access && !ACCESS_MODES.includes(settings.access)) {
+        throw new Error(`Unknown access mode "${settings.access}" (expected ${ACCESS_MODES.join(', ')})`);
+    }
+    if (settings.dryRun && settings.fromDir) throw new Error('--from deploys an export; it cannot be combined with --dry-run/--out');
+    if ((settings.dryRun || settings.fromDir) && !['deploy', 'update'].includes(settings.command)) {
+        throw new Error(`--dry-run, --out and --from only apply to deploy and update (--out also to export, audit and snapshot), not ${settings.command}`);
+    }
+    if (args.snapshot && settings.command !== 'serve') throw new Error('--snapshot only applies to export, audit and serve');
+    if (args.port && settings.command !== 'serve') throw new Error('--port only applies to serve');
+    if (args.relationships && !['deploy', 'update', 'serve'].includes(command)) throw new Error('--relationships only applies to deploy, update, serve, export and audit');
+    if (args.datasources && !['deploy', 'update'].includes(command)) throw new Error('--datasources only applies to deploy and update');
+    if (args.datasource && !['deploy', 'update', 'snapshot'].includes(command)) throw new Error('--datasource only applies to deploy, update and snapshot');
+    if (args.format) throw new Error('--format only applies to export and audit');
+    if (settings.baseUrl) settings.baseUrl = String(settings.baseUrl).replace(/\/+$/, '');
+    if (settings.workspace != null) settings.workspace = String(settings.workspace);
+    return settings;
+}
+
+// Asks the question unless --yes is set, in which case the fallback is used
+// (or the run fails when there is nothing sensible to fall back to).
+async function ask(settings, question, fallback, missingHint) {
+    if (!settings.yes) return prompt(question, fallback);
+    if (fallback !== undefined && fallback !== '') return fallback;
+    throw new Error(`${question} is required in non-interactive mode (${missingHint})`);
+}
 
 function printBanner() {
     console.log('');
@@ -45,8 +357,9 @@ function printBanner() {
     console.log('  1. Connect to your Xano workspace');
     console.log('  2. Discover all database tables');
     console.log('  3. Let you choose which tables to include');
-    console.log('  4. Deploy a graph-data API endpoint');
-    console.log('  5. Give you the URL for the visualizer');
+    console.log('  4. Let you choose who can see the data, and which fields');
+    console.log('  5. Deploy a graph-data API endpoint');
+    console.log('  6. Give you the URL for the visualizer');
     console.log('');
 }
 
@@ -54,63 +367,140 @@ function printBanner() {
 // Xano Meta API
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function xanoGet(baseUrl, token, path) {
-    await sleep(RATE_LIMIT_MS);
-    const url = `${baseUrl}/api:meta${path}`;
-    const res = await fetch(url, {
-        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' }
-    });
-    if (!res.ok) {
-        const err = await res.text();
-        throw new Error(`Xano GET ${path} → ${res.status}: ${err}`);
-    }
-    return res.json();
+// Defaults: one request every 1.5s, which is what every call used to wait
+const DEFAULT_RATE = 40;
+const DEFAULT_TIMEOUT_S = 30;
+const MAX_RETRIES = 5;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+// Longest Retry-After we sit out; a server asking for more gets an error instead
+const RETRY_AFTER_MAX_MS = 120000;
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+const client = { intervalMs: 60000 / DEFAULT_RATE, timeoutMs: DEFAULT_TIMEOUT_S * 1000, verbose: false, nextAt: 0 };
+
+function configureClient(settings) {
+    if (settings.rate) client.intervalMs = 60000 / settings.rate;
+    if (settings.timeout) client.timeoutMs = settings.timeout * 1000;
+    client.verbose = settings.verbose;
 }
 
-async function xanoPost(baseUrl, token, path, body) {
-    await sleep(RATE_LIMIT_MS);
-    const url = `${baseUrl}/api:meta${path}`;
-    const res = await fetch(url, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-    });
-    if (!res.ok) {
-        const err = await res.text();
-        throw new Error(`Xano POST ${path} → ${res.status}: ${err}`);
+// Traces go to stderr so they never mix with anything printed to stdout
+const trace = message => { if (client.verbose) console.error(`  · ${message}`); };
+
+// Waits for the next free slot: requests start at most `rate` times a minute
+// without sleeping when the previous one was already long enough ago
+async function pace() {
+    const now = Date.now();
+    const at = Math.max(now, client.nextAt);
+    client.nextAt = at + client.intervalMs;
+    if (at > now) await sleep(at - now);
+}
+
+// Retry-After holds either a number of seconds or an HTTP date
+function retryAfterMs(res) {
+    const value = res && res.headers.get('retry-after');
+    if (!value) return null;
+    const ms = /^\d+(\.\d+)?$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+    return Number.isNaN(ms) ? null : Math.max(0, ms);
+}
+
+// Exponential backoff with jitter, so parallel runs don't retry in lockstep
+const backoffMs = attempt => Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+
+// Every outgoing request goes through here. Rate limits (429) and 503s are
+// always retried; other 5xx, timeouts and network errors only when the method
+// is safe to repeat, so a POST that may have gone through is never sent twice.
+// Returns the response, which is not ok once the retries are used up.
+async function request(url, { method = 'GET', headers = {}, body, label = url } = {}) {
+    const idempotent = method !== 'POST';
+    for (let attempt = 0; ; attempt++) {
+        await pace();
+        const started = Date.now();
+        trace(`→ ${method} ${label}`);
+        let res = null;
+        let failure = null;
+        try {
+            res = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(client.timeoutMs) });
+            trace(`← ${res.status} ${method} ${label} (${Date.now() - started}ms)`);
+        } catch (e) {
+            failure = e.name === 'TimeoutError' ? `timed out after ${client.timeoutMs / 1000}s` : (e.cause && e.cause.message) || e.message;
+            trace(`✗ ${method} ${label}: ${failure}`);
+        }
+        if (res && res.ok) return res;
+        // A repeated DELETE that finds nothing means an earlier attempt went through
+        if (res && res.status === 404 && method === 'DELETE' && attempt > 0) return res;
+
+        const retryable = res
+            ? res.status === 429 || res.status === 503 || (idempotent && RETRY_STATUSES.includes(res.status))
+            : idempotent;
+        if (!retryable || attempt >= MAX_RETRIES) {
+            if (res) return res;
+            throw new Error(`${method} ${label} failed: ${failure}`);
+        }
+        const asked = retryAfterMs(res);
+        if (asked > RETRY_AFTER_MAX_MS) {
+            throw new Error(`${method} ${label}: HTTP ${res.status}, and the server asks to retry in ${Math.ceil(asked / 1000)}s (more than the ${RETRY_AFTER_MAX_MS / 1000}s setup waits) — try again later or lower --rate`);
+        }
+        const wait = asked ?? backoffMs(attempt);
+        console.error(`  … ${res ? `HTTP ${res.status}` : failure} on ${method} ${label}, retrying in ${(wait / 1000).toFixed(1)}s (${attempt + 1}/${MAX_RETRIES})`);
+        await sleep(wait);
     }
-    return res.json();
 }
 
-async function xanoXs(baseUrl, token, path, xanoscript) {
-    await sleep(RATE_LIMIT_MS);
-    const url = `${baseUrl}/api:meta${path}`;
-    const res = await fetch(url, {
-        method: 'POST',
-        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'text/x-xanoscript' },
-        body: xanoscript
-    });
+async function xanoRequest(baseUrl, token, method, path, body, contentType = 'application/json') {
+    const headers = { 'Authorization': `Bearer ${token}` };
+    if (body !== undefined) headers['Content-Type'] = contentType;
+    const res = await request(`${baseUrl}/api:meta${path}`, { method, headers, body, label: path });
+    // Nothing left to delete is what a DELETE is after — request() also hands
+    // back the 404 of a retry whose first attempt went through
+    if (method === 'DELETE' && res.status === 404) return null;
     if (!res.ok) {
         const err = await res.text();
-        throw new Error(`Xano XS ${path} → ${res.status}: ${err}`);
+        throw new Error(`Xano ${method} ${path} → ${res.status}: ${err}`);
     }
-    return res.json();
+    return method === 'DELETE' ? null : res.json();
 }
 
+async function xanoGet(baseUrl, token, path) {
+    return xanoRequest(baseUrl, token, 'GET', path);
+}
+
+async function xanoPost(baseUrl, token, path, body) {
+    return xanoRequest(baseUrl, token, 'POST', path, JSON.stringify(body));
+}
+
+// POST creates from XanoScript, PUT replaces an existing object with it
+async function xanoXs(baseUrl, token, path, xanoscript, method = 'POST') {
+    return xanoRequest(baseUrl, token, method, path, xanoscript, 'text/x-xanoscript');
+}
+
+async function xanoDelete(baseUrl, token, path) {
+    return xanoRequest(baseUrl, token, 'DELETE', path);
+}
+
+// List endpoints answer with either a bare array or a paged { items } object
+const asList = res => Array.isArray(res) ? res : (res.items || []);
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Step 1: Connect & select workspace
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function selectWorkspace() {
+async function selectWorkspace(settings) {
     console.log('─── Step 1: Connect to Xano ───\n');
-    console.log('Find your credentials:');
-    console.log('  Base URL → your Xano dashboard URL (e.g. https://x1234.xano.io)');
-    console.log('  API Key  → Settings > API Keys > Metadata API\n');
+    if (!settings.baseUrl || !settings.token) {
+        console.log('Find your credentials:');
+        console.log('  Base URL → your Xano dashboard URL (e.g. https://x1234.xano.io)');
+        console.log('  API Key  → Settings > API Keys > Metadata API\n');
+    }
 
-    const baseUrl = (await prompt('Xano Base URL')).replace(/\/+$/, '');
-    const token = await prompt('Metadata API Key');
+    const baseUrl = settings.baseUrl
+        || (await ask(settings, 'Xano Base URL', undefined, 'use --base-url or XANO_BASE_URL')).replace(/\/+$/, '');
+    const token = settings.token
+        || await ask(settings, 'Metadata API Key', undefined, 'use XANO_API_KEY or --api-key-stdin');
 
     if (!baseUrl || !token) throw new Error('Base URL and API Key are required');
+    if (settings.baseUrl) console.log(`Base URL: ${baseUrl}`);
 
     console.log('\nFetching workspaces...');
     let workspaces;
@@ -120,31 +510,123 @@ async function selectWorkspace() {
         throw new Error(`Could not connect: ${e.message}`);
     }
 
-    const wsList = Array.isArray(workspaces) ? workspaces : (workspaces.items || []);
+    const wsList = asList(workspaces);
     if (!wsList.length) throw new Error('No workspaces found');
 
-    console.log('\nAvailable workspaces:');
-    wsList.forEach((ws, i) => console.log(`  ${i + 1}. ${ws.name || 'Unnamed'} (id: ${ws.id})`));
-    console.log('');
-
-    const sel = parseInt(await prompt('Select workspace (number)'), 10);
-    if (isNaN(sel) || sel < 1 || sel > wsList.length) throw new Error('Invalid selection');
+    let ws;
+    if (settings.workspace != null) {
+        const wanted = settings.workspace.toLowerCase();
+        ws = wsList.find(w => String(w.id) === wanted)
+            || wsList.find(w => (w.name || '').toLowerCase() === wanted);
+        if (!ws) throw new Error(`Workspace "${settings.workspace}" not found (available: ${wsList.map(w => `${w.name} (${w.id})`).join(', ')})`);
+    } else if (wsList.length === 1 && settings.yes) {
+        ws = wsList[0];
+    } else {
+        console.log('\nAvailable workspaces:');
+        wsList.forEach((w, i) => console.log(`  ${i + 1}. ${w.name || 'Unnamed'} (id: ${w.id})`));
+        console.log('');
 
-    const ws = wsList[sel - 1];
+        const sel = parseInt(await ask(settings, 'Select workspace (number)', undefined, 'use --workspace or XANO_WORKSPACE'), 10);
+        if (isNaN(sel) || sel < 1 || sel > wsList.length) throw new Error('Invalid selection');
+        ws = wsList[sel - 1];
+    }
     console.log(`\n✓ Selected: ${ws.name} (id: ${ws.id})`);
 
-    return { baseUrl, token, workspaceId: ws.id, workspaceName: ws.name };
+    const config = { baseUrl, token, workspaceId: ws.id, workspaceName: ws.name };
+    config.branch = await selectBranch(config, settings);
+    return config;
+}
+
+const branchLabel = b => b.label || b.name;
+
+// The live branch is what every URL and Meta API call reaches without naming
+// a branch, so it comes back as null: deployments to it stay where they were
+// before branches were supported. Workspaces whose branches can't be listed
+// only get the branch --branch names.
+async function selectBranch(config, settings) {
+    let branches;
+    try {
+        branches = asList(await xanoGet(config.baseUrl, config.token, `/workspace/${config.workspaceId}/branch`)).filter(b => !b.backup);
+    } catch (e) {
+        if (settings.branch) console.log(`  ⚠ Could not list branches — using "${settings.branch}" as given`);
+        return settings.branch || null;
+    }
+    const live = branches.find(b => b.live);
+
+    let branch;
+    if (settings.branch) {
+        branch = branches.find(b => branchLabel(b) === settings.branch);
+        if (!branch) throw new Error(`Branch "${settings.branch}" not found (available: ${branches.map(branchLabel).join(', ')})`);
+    } else if (branches.length < 2 || settings.yes) {
+        return null;
+    } else {
+        console.log('\nBranches:');
+        branches.forEach((b, i) => console.log(`  ${i + 1}. ${branchLabel(b)}${b === live ? ' (live)' : ''}`));
+        console.log('');
+        const sel = parseInt(await prompt('Select branch (number)', String(branches.indexOf(live) + 1 || 1)), 10);
+        if (isNaN(sel) || sel < 1 || sel > branches.length) throw new Error('Invalid selection');
+        branch = branches[sel - 1];
+    }
+    console.log(`✓ Branch: ${branchLabel(branch)}${branch === live ? ' (live)' : ''}`);
+    return branch === live ? null : branchLabel(branch);
+}
+
+// Meta API paths inside a workspace, pointed at the selected branch
+const onBranch = (config, apiPath) => config.branch ? `${apiPath}?branch=${encodeURIComponent(config.branch)}` : apiPath;
+
+// Public URL of an API group; other branches than live are reached as api:<canonical>:<branch>
+const groupUrl = (config, canonical) => `${config.baseUrl}/api:${canonical}${config.branch ? `:${config.branch}` : ''}`;
+
+// Which data sources graph-data may read, the first one being what it reads
+// unless the visualizer asks for another. Returns null when the workspace has
+// no data sources to choose from, and graph-data then reads the default.
+async function selectDataSources(config, settings) {
+    let names;
+    try {
+        names = asList(await xanoGet(config.baseUrl, config.token, `/workspace/${config.workspaceId}/datasource`)).map(d => d.label || d.name);
+    } catch (e) {
+        if (!settings.datasources && !settings.datasource) return null;
+        console.log('  ⚠ Could not list data sources — using the ones given');
+        names = settings.datasources || [settings.datasource];
+    }
+    if (!settings.datasources && !settings.datasource && names.length < 2) return null;
+
+    const unknown = [...(settings.datasources || []), ...(settings.datasource ? [settings.datasource] : [])].filter(n => !names.includes(n));
+    if (unknown.length) throw new Error(`Unknown data source(s): ${unknown.join(', ')} (available: ${names.join(', ')})`);
+
+    let chosen = settings.datasources;
+    if (!chosen && !settings.yes) {
+        console.log(`\nData sources: ${names.join(', ')}`);
+        chosen = splitList(await prompt('Data sources the visualizer may read', names.join(',')));
+        const bad = chosen.filter(n => !names.includes(n));
+        if (bad.length) throw new Error(`Unknown data source(s): ${bad.join(', ')}`);
+    }
+    chosen = chosen && chosen.length ? chosen : names;
+
+    const fallback = chosen.includes('live') ? 'live' : chosen[0];
+    const first = settings.datasource || (settings.yes || chosen.length < 2 ? fallback : await prompt('Data source it opens on', fallback));
+    if (!chosen.includes(first)) throw new Error(`Data source "${first}" is not one of ${chosen.join(', ')}`);
+    const list = [first, ...chosen.filter(n => n !== first)];
+    console.log(`✓ Data sources: ${list.join(', ')} (opens on ${first})`);
+    return list;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Step 2: Discover tables
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function discoverTables(baseUrl, token, workspaceId) {
-    console.log('\n─── Step 2: Discover Tables ───\n');
-    console.log('Fetching workspace context...');
+// Accepts table names as well as their graph-data keys ("order_items"), which
+// is how a deployment records the tables it covers
+function selectTablesByName(tables, names, flag) {
+    const byName = new Map(tables.flatMap(t => [[tableKey(t.name), t], [t.name.toLowerCase(), t]]));
+    const missing = names.filter(n => !byName.has(n.toLowerCase()));
+    if (missing.length) throw new Error(`Unknown table(s) in ${flag}: ${missing.join(', ')}`);
+    return names.map(n => byName.get(n.toLowerCase()));
+}
 
-    const ctx = await xanoGet(baseUrl, token, `/workspace/${workspaceId}`);
+async function listTables(config) {
+    const { baseUrl, token, workspaceId } = config;
+    const ctx = await xanoGet(baseUrl, token, onBranch(config, `/workspace/${workspaceId}`));
 
     // The context response includes databaseTables
     let tables = [];
@@ -154,11 +636,32 @@ async function discoverTables(baseUrl, token, workspaceId) {
         tables = ctx.tables;
     } else {
         // Try the table endpoint directly
-        const tblRes = await xanoGet(baseUrl, token, `/workspace/${workspaceId}/table`);
-        tables = Array.isArray(tblRes) ? tblRes : (tblRes.items || []);
+        tables = asList(await xanoGet(baseUrl, token, onBranch(config, `/workspace/${workspaceId}/table`)));
     }
 
     if (!tables.length) throw new Error('No tables found in this workspace');
+    return tables;
+}
+
+// Real table references from the schema; tables whose schema can't be read
+// fall back to the visualizer's *_id naming heuristic
+async function readTableSchemas(config, tables) {
+    const { baseUrl, token, workspaceId } = config;
+    for (const t of tables) {
+        if (t.id == null) continue;
+        try {
+            t.schema = asList(await xanoGet(baseUrl, token, onBranch(config, `/workspace/${workspaceId}/table/${t.id}/schema`)));
+        } catch (e) {
+            console.log(`  ⚠ Could not read schema for ${t.name} — relationships will be guessed from field names`);
+        }
+    }
+}
+
+async function discoverTables(config, settings) {
+    console.log('\n─── Step 2: Discover Tables ───\n');
+    console.log('Fetching workspace context...');
+
+    const tables = await listTables(config);
 
     // Filter out system/queue tables by default
     const queuePatterns = ['pagination_queue', 'process_queue', 'log'];
@@ -176,63 +679,327 @@ async function discoverTables(baseUrl, token, workspaceId) {
         queueTables.forEach(t => console.log(`      · ${t.name}`));
     }
 
-    console.log('\nOptions:');
-    console.log('  a = all core tables (recommended)');
-    console.log('  1,3,5 = specific table numbers');
-    console.log('  * = everything including queue tables\n');
-
-    const choice = await prompt('Include tables', 'a');
     let selected;
-
-    if (choice === '*') {
-        selected = tables;
-    } else if (choice === 'a' || choice === '') {
-        selected = coreTables;
+    const preselected = settings.tables || settings.exclude || settings.includeSystem != null;
+
+    if (preselected || settings.yes) {
+        if (settings.tables) selected = selectTablesByName(tables, settings.tables, '--tables');
+        else selected = settings.includeSystem ? tables : coreTables;
+        if (settings.exclude) {
+            const excluded = new Set(selectTablesByName(tables, settings.exclude, '--exclude'));
+            selected = selected.filter(t => !excluded.has(t));
+        }
     } else {
-        const indices = choice.split(',').map(s => parseInt(s.trim(), 10) - 1);
-        selected = indices.filter(i => i >= 0 && i < coreTables.length).map(i => coreTables[i]);
+        console.log('\nOptions:');
+        console.log('  a = all core tables (recommended)');
+        console.log('  1,3,5 = specific table numbers');
+        console.log('  * = everything including queue tables\n');
+
+        const choice = await prompt('Include tables', 'a');
+
+        if (choice === '*') {
+            selected = tables;
+        } else if (choice === 'a' || choice === '') {
+            selected = coreTables;
+        } else {
+            const indices = choice.split(',').map(s => parseInt(s.trim(), 10) - 1);
+            selected = indices.filter(i => i >= 0 && i < coreTables.length).map(i => coreTables[i]);
+        }
     }
 
+    if (!selected.length) throw new Error('No tables selected');
+
     console.log(`\n✓ Selected ${selected.length} tables:`);
     selected.forEach(t => console.log(`    · ${t.name}`));
 
+    console.log('\nReading table schemas...');
+    await readTableSchemas(config, selected);
+
+    const relationships = buildRelationships(selected);
+    console.log(`\n✓ Found ${relationships.length} relationships:`);
+    relationships.forEach(r => console.log(`    · ${r.source}.${r.field} → ${r.target} (${r.cardinality})`));
+
     return selected;
 }
 
+// Turns the table-reference fields of each schema into explicit edges.
+// References to tables outside the selection are dropped.
+function buildRelationships(tables) {
+    const byId = new Map(tables.map(t => [String(t.id), t]));
+    const relationships = [];
+    tables.forEach(t => {
+        (t.schema || []).forEach(f => {
+            const target = f.tableref_id != null && byId.get(String(f.tableref_id));
+            if (!target || (t.hidden || []).includes(f.name)) return;
+            relationships.push({
+                source: tableKey(t.name),
+                field: f.name,
+                target: tableKey(target.name),
+                cardinality: f.style === 'list' ? 'many-to-many' : 'many-to-one',
+            });
+        });
+    });
+    return relationships;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
-// Step 3: Generate XanoScript & Deploy
+// Step 3: Access & field redaction
 // ─────────────────────────────────────────────────────────────────────────────
 
-function generateGraphDataXanoScript(tables) {
-    const queryBlocks = tables.map((t, i) => {
-        const varName = `$t${i}`;
-        return `    db.query "${t.name}" {
-      return = {
-        type  : "list"
-        paging: {page: 1, per_page: 250, metadata: false}
-      }
-    } as ${varName}`;
+// Columns that never leave Xano unless a table's allow list names them
+const SENSITIVE_FIELD_TYPES = ['password'];
+// Whole words of a snake_case or camelCase name, so refresh_token and
+// passwordHash match but tokenized_title and footprint don't
+const SENSITIVE_FIELD_NAME = /(^|_)(pass(word|wd)|secret|token|api_?key|private_?key|hash|salt|otp)(_|$)/i;
+
+const isSensitiveField = f => f.sensitive || SENSITIVE_FIELD_TYPES.includes(f.type)
+    || SENSITIVE_FIELD_NAME.test(f.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
+
+// Sets `t.output` (the db.query output list, null = every field) and
+// `t.hidden` for each table. Without a schema we can't know which columns
+// exist, so such tables can only be restricted with an allow list.
+function applyFieldRules(tables, rules) {
+    const known = new Set(tables.flatMap(t => [t.name, tableKey(t.name)]));
+    const unknown = Object.keys(rules).filter(k => !known.has(k));
+    if (unknown.length) throw new Error(`Field rules name unknown table(s): ${unknown.join(', ')}`);
+
+    tables.forEach(t => {
+        const rule = rules[t.name] || rules[tableKey(t.name)] || {};
+        const names = t.schema ? t.schema.map(f => f.name) : null;
+        const missing = [...(rule.allow || []), ...(rule.deny || [])].filter(f => names && !names.includes(f));
+        if (missing.length) throw new Error(`Unknown field(s) in ${t.name} rules: ${missing.join(', ')}`);
+
+        if (rule.allow) {
+            t.output = ['id', ...rule.allow.filter(f => f !== 'id')];
+            t.hidden = names ? names.filter(f => !t.output.includes(f)) : [];
+        } else if (!names) {
+            if (rule.deny && rule.deny.length) {
+                throw new Error(`Cannot apply a deny list to ${t.name} without its schema — use an allow list instead`);
+            }
+            t.output = null;
+            t.hidden = [];
+        } else {
+            const denied = new Set([...(rule.deny || []), ...t.schema.filter(isSensitiveField).map(f => f.name)]);
+            denied.delete('id');
+            t.hidden = names.filter(f => denied.has(f));
+            t.output = t.hidden.length ? names.filter(f => !denied.has(f)) : null;
+        }
+    });
+}
+
+async function configureAccess(settings, tables) {
+    console.log('\n─── Step 3: Access & Privacy ───\n');
+
+    applyFieldRules(tables, settings.fields);
+    const printHidden = () => {
+        const hidden = tables.filter(t => t.hidden.length);
+        console.log(hidden.length ? 'Fields that will never leave Xano:' : 'No fields are hidden.');
+        hidden.forEach(t => console.log(`    · ${t.name}: ${t.hidden.join(', ')}`));
+        tables.filter(t => !t.schema && !t.output).forEach(t => {
+            console.log(`  ⚠ ${t.name} has no readable schema — every field is returned unless you give it an allow list`);
+        });
+    };
+    printHidden();
+
+    if (!settings.yes) {
+        const extra = splitList(await prompt('\nHide more fields (table.field, comma separated)', ''));
+        if (extra.length) {
+            settings.fields = parseFieldRules(settings.fields, [], extra);
+            applyFieldRules(tables, settings.fields);
+            printHidden();
+        }
+    }
+
+    let mode = settings.access;
+    if (!mode) {
+        console.log('\nWho can open the visualizer?');
+        console.log('  public = anyone with the URL');
+        console.log('  secret = anyone who knows a shared secret (checked inside the endpoint)');
+        console.log('  user   = anyone with a valid Xano auth token\n');
+        mode = await ask(settings, 'Access mode', 'public');
+        if (!ACCESS_MODES.includes(mode)) throw new Error(`Unknown access mode "${mode}"`);
+    }
+    const access = { mode };
+
+    if (mode === 'secret') {
+        access.secret = settings.secret
+            || (settings.yes ? '' : await prompt('Shared secret (leave blank to generate one)', ''));
+        if (!access.secret) {
+            access.secret = crypto.randomBytes(24).toString('base64url');
+            access.generated = true;
+        }
+    } else if (mode === 'user') {
+        const authTables = tables.filter(t => t.auth).map(t => t.name);
+        access.authTable = settings.authTable
+            || await ask(settings, 'Auth table (users log in against)', authTables[0], 'use --auth-table or XANO_AUTH_TABLE');
+    }
+
+    console.log(`\n✓ Access: ${mode}${access.authTable ? ` (auth table: ${access.authTable})` : ''}`);
+    return access;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Step 4: Generate XanoScript & Deploy
+// ─────────────────────────────────────────────────────────────────────────────
+
+function tableKey(name) {
+    return name.toLowerCase().replace(/\s+/g, '_');
+}
+
+// Field names and types per table, keyed like the graph-data response. Only
+// tables with a readable schema are listed, so the visualizer knows which
+// tables still need the naming heuristic. The schema view draws its table
+// cards from this, so list fields keep their XanoScript spelling (int[]).
+function buildSchemaSummary(tables) {
+    const summary = {};
+    tables.filter(t => t.schema).forEach(t => {
+        const hidden = t.hidden || [];
+        summary[tableKey(t.name)] = t.schema
+            .filter(f => !hidden.includes(f.name))
+            .map(f => ({ name: f.name, type: f.style === 'list' ? `${f.type}[]` : f.type }));
+    });
+    return summary;
+}
+
+// JSON is also valid XanoScript literal syntax (single-line, comma separated)
+const xsLiteral = value => JSON.stringify(value);
+
+const DEFAULT_PER_PAGE = 250;
+const MAX_PER_PAGE = 1000;
+
+// Quote keys with special chars (hyphens etc.) so XanoScript doesn't parse as math
+const xsKey = key => /^[a-z0-9_]+$/.test(key) ? key : `"${key}"`;
+const xsDbField = (table, field) => /^[a-z0-9_]+$/i.test(table) ? `$db.${table}.${field}` : `$db["${table}"].${field}`;
+
+// Called without `table` it returns the catalog (record count per table,
+// schema and relationships); with `table` it returns one page of that table.
+// `ids` fetches specific records so the visualizer can resolve references
+// that point outside the pages it has loaded. With `datasources` it reads the
+// data source named by `datasource`, the first of them by default.
+function generateGraphDataXanoScript(tables, access = { mode: 'public' }, tag = '', datasources = null) {
+    const countBlocks = tables.map((t, i) => `        db.query "${t.name}" {
+          return = {type: "count"}
+        } as $c${i}`).join('\n\n');
+
+    const countEntries = tables.map((t, i) => `              ${xsKey(tableKey(t.name))}: $c${i}`).join('\n');
+
+    const pageBranches = tables.map((t, i) => {
+        // ids arrive as text so uuid and text keys work too; integer keys
+        // (the default, and all we can assume without a schema) get a converted copy
+        const idField = t.schema && t.schema.find(f => f.name === 'id');
+        const textIds = idField && idField.type !== 'int';
+        const idsBlock = textIds ? '' : `
+        var $ids${i} {
+          value = $input.ids
+        }
+
+        conditional {
+          if ($input.ids != null) {
+            var.update $ids${i} {
+              value = []
+            }
+
+            foreach ($input.ids) {
+              each as $id {
+                array.push $ids${i} {
+                  value = $id|to_int
+                }
+              }
+            }
+          }
+        }
+`;
+        const filters = [`${xsDbField(t.name, 'id')} in? ${textIds ? '$input.ids' : `$ids${i}`}`];
+        // `since` only applies where there is a created_at column to compare with
+        if (t.schema && t.schema.some(f => f.name === 'created_at')) {
+            filters.push(`${xsDbField(t.name, 'created_at')} >=? $input.since`);
+        }
+        const output = t.output ? `\n          output = ${xsLiteral(t.output)}` : '';
+        return `      elseif ($input.table == "${tableKey(t.name)}") {${idsBlock}
+        db.query "${t.name}" {
+          where = ${filters.join(' && ')}${output}
+          sort = {${/^[a-z0-9_]+$/i.test(t.name) ? `${t.name}.id` : `"${t.name}.id"`}: "asc"}
+          return = {
+            type  : "list"
+            paging: {page: $input.page, per_page: $input.per_page, totals: true}
+          }
+        } as $t${i}
+
+        var.update $result {
+          value = {table: $input.table, items: $t${i}.items, page: $t${i}.curPage, per_page: $input.per_page, next_page: $t${i}.nextPage, total: $t${i}.itemsTotal}
+        }
+      }`;
     }).join('\n\n');
 
-    const resultEntries = tables.map((t, i) => {
-        const key = t.name.toLowerCase().replace(/\s+/g, '_');
-        // Quote keys with special chars (hyphens etc.) so XanoScript doesn't parse as math
-        const safeKey = /^[a-z0-9_]+$/.test(key) ? key : `"${key}"`;
-        return `        ${safeKey}: $t${i}`;
-    }).join('\n');
+    // Only a hash of the shared secret is stored in the endpoint
+    const secretCheck = access.mode === 'secret' ? `
+    var $visualizer_key {
+      value = $env.$http_headers|get:"X-Visualizer-Key":($env.$http_headers|get:"x-visualizer-key":"")
+    }
+
+    precondition (($visualizer_key|sha256:false) == "${sha256(access.secret)}") {
+      error_type = "accessdenied"
+      error = "Missing or invalid visualizer key"
+    }
+` : '';
+    const authLine = access.mode === 'user' ? `\n  auth = "${access.authTable}"` : '';
+
+    // Only the data sources chosen at setup can be read, whatever is asked for
+    const sourceInput = datasources ? `\n    text datasource?=${xsLiteral(datasources[0])} filters=trim` : '';
+    const sourceSwitch = datasources ? `
+    precondition (${datasources.map(d => `$input.datasource == ${xsLiteral(d)}`).join(' || ')}) {
+      error_type = "inputerror"
+      error = "Unknown data source"
+    }
+
+    db.set_datasource {
+      value = $input.datasource
+    }
+` : '';
+    const sourceEntries = datasources ? `
+            datasources: ${xsLiteral(datasources)}
+            datasource: $input.datasource` : '';
+
+    const description = `Returns the table catalog, or one page of a table, for the graph visualizer ${tag}`.trim();
 
     return `query "graph-data" verb=GET {
-  description = "Returns records from all tables for the graph visualizer"
+  description = ${xsLiteral(description)}${authLine}
 
   input {
+    text table? filters=trim
+    int page?=1 filters=min:1
+    int per_page?=${DEFAULT_PER_PAGE} filters=min:1|max:${MAX_PER_PAGE}
+    timestamp since?
+    text[] ids?${sourceInput}
   }
 
-  stack {
-${queryBlocks}
-
+  stack {${secretCheck}${sourceSwitch}
     var $result {
-      value = {
-${resultEntries}
+      value = null
+    }
+
+    conditional {
+      if ($input.table == null || $input.table == "") {
+${countBlocks}
+
+        var.update $result {
+          value = {
+            tables: {
+${countEntries}
+            }
+            schema: ${xsLiteral(buildSchemaSummary(tables))}
+            relationships: ${xsLiteral(buildRelationships(tables))}${sourceEntries}
+          }
+        }
+      }
+
+${pageBranches}
+
+      else {
+        throw {
+          name = "inputerror"
+          value = "Unknown table: " ~ $input.table
+        }
       }
     }
   }
@@ -242,16 +1009,38 @@ ${resultEntries}
 }`;
 }
 
-function generateVisualizerXanoScript() {
-    // The entire visualizer HTML, minified, served as text/html from Xano
-    // Auto-fetches ./graph-data relative to its own URL
-    const html = `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><title>Xano Record Graph</title><style>@import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800&family=JetBrains+Mono:wght@400;500&display=swap');*{margin:0;padding:0;box-sizing:border-box}body{background:#06060b;color:#e0e0e0;font-family:'Inter',sans-serif;overflow:hidden;height:100vh;width:100vw}#canvas{width:100%;height:100%;cursor:grab}#canvas:active{cursor:grabbing}#hud{position:fixed;top:20px;left:20px;z-index:10;display:flex;flex-direction:column;gap:10px}#hud h1{font-size:20px;font-weight:800;background:linear-gradient(135deg,#a78bfa,#60a5fa,#34d399);-webkit-background-clip:text;-webkit-text-fill-color:transparent;letter-spacing:-0.5px}#hud .sub{font-size:11px;color:#555;margin-top:-6px}.legend{display:flex;flex-wrap:wrap;gap:5px;max-width:460px}.legend-item{display:flex;align-items:center;gap:5px;font-size:10px;color:#777;background:rgba(255,255,255,0.03);border:1px solid rgba(255,255,255,0.06);border-radius:6px;padding:3px 8px;cursor:pointer;transition:all .2s;user-select:none}.legend-item:hover{background:rgba(255,255,255,0.08);color:#ccc}.legend-item.active{border-color:rgba(255,255,255,0.2);color:#fff}.legend-item.dimmed{opacity:0.25}.ldot{width:8px;height:8px;border-radius:50%;flex-shrink:0}#tooltip{position:fixed;pointer-events:none;background:rgba(10,10,20,0.96);border:1px solid rgba(255,255,255,0.1);border-radius:10px;padding:14px 18px;font-size:12px;z-index:100;display:none;backdrop-filter:blur(16px);max-width:380px;box-shadow:0 12px 40px rgba(0,0,0,0.6)}.tt-type{font-size:9px;text-transform:uppercase;letter-spacing:1.5px;margin-bottom:3px;font-weight:600}.tt-name{font-size:14px;font-weight:700;color:#fff}.tt-fields{margin-top:8px;font-size:11px;font-family:'JetBrains Mono',monospace;color:#888;line-height:1.6;max-height:220px;overflow-y:auto}.tt-fields .fk{color:#a78bfa}.tt-fields .fv{color:#ccc}#loading{position:fixed;inset:0;display:flex;align-items:center;justify-content:center;background:#06060b;z-index:200;flex-direction:column;gap:16px}#loading .spinner{width:40px;height:40px;border:3px solid rgba(167,139,250,0.2);border-top-color:#a78bfa;border-radius:50%;animation:spin 1s linear infinite}#loading .msg{font-size:13px;color:#666;text-align:center;max-width:400px}@keyframes spin{to{transform:rotate(360deg)}}#search-box{position:fixed;top:20px;right:20px;z-index:10}#search-box input{background:rgba(255,255,255,0.04);border:1px solid rgba(255,255,255,0.08);border-radius:8px;padding:8px 14px;color:#ccc;font-size:12px;width:220px;outline:none;font-family:'Inter',sans-serif}#search-box input::placeholder{color:#444}#search-box input:focus{border-color:rgba(167,139,250,0.4);box-shadow:0 0 20px rgba(167,139,250,0.08)}#stats{position:fixed;bottom:20px;left:20px;font-size:10px;color:#444;z-index:10;font-family:'JetBrains Mono',monospace}#help{position:fixed;bottom:20px;right:20px;font-size:10px;color:#333;z-index:10;text-align:right;line-height:1.6;font-family:'JetBrains Mono',monospace}</style></head><body><div id="loading"><div class="spinner"></div><div class="msg">Loading graph data...</div></div><div id="hud"><h1>Xano Record Graph</h1><div class="sub">Click group to zoom · Dbl-click to fit · F to fit · Esc to reset</div><div class="legend" id="legend"></div></div><div id="search-box"><input type="text" placeholder="Search records..." id="search"></div><canvas id="canvas"></canvas><div id="tooltip"><div class="tt-type"></div><div class="tt-name"></div><div class="tt-fields"></div></div><div id="stats"></div><div id="help">scroll=zoom · drag=pan · click group=zoom in · dblclick=fit all</div><script>const PALETTE=['#60a5fa','#818cf8','#34d399','#f472b6','#fbbf24','#fb923c','#38bdf8','#a3e635','#ef4444','#c084fc','#14b8a6','#e879f9','#f59e0b','#22d3ee','#6ee7b7','#f87171','#a78bfa','#fdba74','#67e8f9','#86efac','#fca5a5','#d8b4fe','#fcd34d','#5eead4','#93c5fd','#bef264','#fb7185','#7dd3fc'];let tables={},nodes=[],edges=[],nodeById={},groups={},pan={x:0,y:0},zoom=1,dragging=false,dragStart={x:0,y:0},panStart={x:0,y:0},hoveredNode=null,activeFilter=null,searchTerm='',animTarget=null;const canvas=document.getElementById('canvas'),ctx=canvas.getContext('2d'),dpr=window.devicePixelRatio||1;function autoDetect(data){tables={};const tableNames=Object.keys(data).filter(k=>Array.isArray(data[k])&&data[k].length>0);const tableNameIndex={};tableNames.forEach(t=>{tableNameIndex[t.toLowerCase()]=t;tableNameIndex[t.toLowerCase().replace(/\\s+/g,'_')]=t;if(t.endsWith('s'))tableNameIndex[t.slice(0,-1).toLowerCase()]=t;if(t.endsWith('es'))tableNameIndex[t.slice(0,-2).toLowerCase()]=t});tableNames.forEach((key,i)=>{const records=data[key],sample=records[0]||{},fields=Object.keys(sample),fkFields=[],fkTargets={};fields.forEach(f=>{if(!f.endsWith('_id')||f==='id')return;const prefix=f.replace(/_id$/,'');const target=tableNameIndex[prefix.toLowerCase()]||tableNameIndex[prefix.toLowerCase()+'s']||tableNameIndex[prefix.toLowerCase().replace(/s$/,'')];if(target){fkFields.push(f);fkTargets[f]=target}});const nameField=detectNameField(fields,sample);tables[key]={color:PALETTE[i%PALETTE.length],label:prettifyName(key),fkFields,fkTargets,nameField,records,count:records.length}});return tables}function detectNameField(fields,sample){const priorities=['name','title','label','display_name','username','slug','email','description'];for(const p of priorities)if(fields.includes(p))return p;for(const f of fields){if(f==='id'||f==='created_at'||f==='updated_at')continue;const v=sample[f];if(typeof v==='string'&&v.length<80&&v.length>0)return f}return'id'}function prettifyName(str){return str.replace(/_/g,' ').replace(/\\b\\w/g,c=>c.toUpperCase())}function buildGraph(data){autoDetect(data);nodes=[];edges=[];nodeById={};groups={};Object.entries(tables).forEach(([key,cfg])=>{groups[key]={nodes:[],cx:0,cy:0,radius:0,color:cfg.color,label:cfg.label,count:cfg.count};cfg.records.forEach(rec=>{const nodeId=key+':'+rec.id;const raw=rec[cfg.nameField];const displayName=raw!=null?String(raw):'#'+rec.id;const label=displayName.length>26?displayName.slice(0,24)+'\\u2026':displayName;const n={id:nodeId,table:key,record:rec,label,color:cfg.color,x:0,y:0,vx:0,vy:0,radius:5};nodes.push(n);nodeById[nodeId]=n;nodeById['_idx_'+key+'_'+rec.id]=n;groups[key].nodes.push(n)})});Object.entries(tables).forEach(([key,cfg])=>{cfg.fkFields.forEach(fkField=>{const targetTable=cfg.fkTargets[fkField];if(!targetTable)return;cfg.records.forEach(rec=>{if(!rec[fkField])return;const srcNode=nodeById[key+':'+rec.id];const tgtNode=nodeById['_idx_'+targetTable+'_'+rec[fkField]];if(srcNode&&tgtNode)edges.push({source:srcNode,target:tgtNode,fk:fkField})})})});nodes.forEach(n=>{const conns=edges.filter(e=>e.source===n||e.target===n).length;n.radius=4+Math.min(conns*1.5,16)});const W=window.innerWidth,H=window.innerHeight;const tableKeys=Object.keys(tables).filter(k=>groups[k].count>0);const groupRadius=Math.min(W,H)*0.55;tableKeys.forEach((k,i)=>{const angle=(i/tableKeys.length)*Math.PI*2-Math.PI/2;const gcx=W/2+Math.cos(angle)*groupRadius*0.5;const gcy=H/2+Math.sin(angle)*groupRadius*0.5;groups[k].nodes.forEach((n,j)=>{const sa=j*2.4;const sr=Math.sqrt(j)*12;n.x=gcx+Math.cos(sa)*sr;n.y=gcy+Math.sin(sa)*sr});groups[k].cx=gcx;groups[k].cy=gcy});for(let iter=0;iter<120;iter++){const alpha=Math.max(0.01,1-iter/120);for(let i=0;i<nodes.length;i++){for(let j=i+1;j<nodes.length;j++){if(nodes[i].table!==nodes[j].table)continue;let dx=nodes[j].x-nodes[i].x,dy=nodes[j].y-nodes[i].y;let d2=dx*dx+dy*dy;if(d2>10000)continue;let d=Math.sqrt(d2)||1;let force=200/(d*d)*alpha;nodes[i].vx-=dx/d*force;nodes[i].vy-=dy/d*force;nodes[j].vx+=dx/d*force;nodes[j].vy+=dy/d*force}}edges.forEach(e=>{let dx=e.target.x-e.source.x,dy=e.target.y-e.source.y;let d=Math.sqrt(dx*dx+dy*dy)||1;let force=(d-80)*0.003*alpha;e.source.vx+=dx/d*force;e.source.vy+=dy/d*force;e.target.vx-=dx/d*force;e.target.vy-=dy/d*force});tableKeys.forEach(k=>{const g=groups[k];g.nodes.forEach(n=>{n.vx+=(g.cx-n.x)*0.02*alpha;n.vy+=(g.cy-n.y)*0.02*alpha})});nodes.forEach(n=>{n.vx*=0.8;n.vy*=0.8;n.x+=n.vx;n.y+=n.vy})}tableKeys.forEach(k=>{const g=groups[k];if(!g.nodes.length)return;let mx=0,my=0;g.nodes.forEach(n=>{mx+=n.x;my+=n.y});g.cx=mx/g.nodes.length;g.cy=my/g.nodes.length;let maxD=0;g.nodes.forEach(n=>{const d=Math.sqrt((n.x-g.cx)**2+(n.y-g.cy)**2);if(d>maxD)maxD=d});g.radius=maxD+30});buildLegend();zoomToAll()}function buildLegend(){const legend=document.getElementById('legend');legend.innerHTML='';Object.entries(tables).forEach(([key,cfg])=>{if(!cfg.count)return;const el=document.createElement('div');el.className='legend-item';el.innerHTML='<span class="ldot" style="background:'+cfg.color+'"></span>'+cfg.label+' ('+cfg.count+')';el.addEventListener('click',()=>{if(activeFilter===key){activeFilter=null;document.querySelectorAll('.legend-item').forEach(l=>{l.classList.remove('dimmed','active')})}else{activeFilter=key;document.querySelectorAll('.legend-item').forEach(l=>l.classList.add('dimmed'));el.classList.remove('dimmed');el.classList.add('active')}draw()});el.addEventListener('dblclick',()=>zoomToGroup(key));legend.appendChild(el)})}function zoomToGroup(key){const g=groups[key];if(!g||!g.nodes.length)return;const tz=Math.min(4,Math.min(window.innerWidth,window.innerHeight)/(g.radius*2.5));animTarget={px:window.innerWidth/2-g.cx*tz,py:window.innerHeight/2-g.cy*tz,z:tz,t:0};requestAnimationFrame(animateZoom)}function zoomToAll(){if(!nodes.length){draw();return}let minX=Infinity,minY=Infinity,maxX=-Infinity,maxY=-Infinity;nodes.forEach(n=>{if(n.x<minX)minX=n.x;if(n.y<minY)minY=n.y;if(n.x>maxX)maxX=n.x;if(n.y>maxY)maxY=n.y});const bw=maxX-minX+100,bh=maxY-minY+100;const tz=Math.min(window.innerWidth/bw,window.innerHeight/bh)*0.82;const cx=(minX+maxX)/2,cy=(minY+maxY)/2;animTarget={px:window.innerWidth/2-cx*tz,py:window.innerHeight/2-cy*tz,z:tz,t:0};requestAnimationFrame(animateZoom)}function animateZoom(){if(!animTarget)return;animTarget.t+=0.06;const t=Math.min(1,animTarget.t);const ease=t<0.5?4*t*t*t:1-Math.pow(-2*t+2,3)/2;pan.x+=(animTarget.px-pan.x)*ease*0.15;pan.y+=(animTarget.py-pan.y)*ease*0.15;zoom+=(animTarget.z-zoom)*ease*0.15;draw();if(t<1)requestAnimationFrame(animateZoom);else animTarget=null}function isVisible(n){if(activeFilter&&n.table!==activeFilter)return false;if(searchTerm&&!n.label.toLowerCase().includes(searchTerm)&&!n.table.toLowerCase().includes(searchTerm))return false;return true}function screenToWorld(sx,sy){return{x:(sx-pan.x)/zoom,y:(sy-pan.y)/zoom}}function draw(){const w=canvas.width/dpr,h=canvas.height/dpr;ctx.clearRect(0,0,w,h);ctx.save();ctx.translate(pan.x,pan.y);ctx.scale(zoom,zoom);if(zoom>0.3){ctx.strokeStyle='rgba(255,255,255,'+Math.min(0.03,0.01*zoom)+')';ctx.lineWidth=0.5/zoom;const step=80,vp=screenToWorld(0,0),vp2=screenToWorld(w,h);const sx=Math.floor(vp.x/step)*step,ex=Math.ceil(vp2.x/step)*step;const sy=Math.floor(vp.y/step)*step,ey=Math.ceil(vp2.y/step)*step;for(let x=sx;x<=ex;x+=step){ctx.beginPath();ctx.moveTo(x,sy);ctx.lineTo(x,ey);ctx.stroke()}for(let y=sy;y<=ey;y+=step){ctx.beginPath();ctx.moveTo(sx,y);ctx.lineTo(ex,y);ctx.stroke()}}Object.entries(groups).forEach(([key,g])=>{if(!g.nodes.length)return;const dimmed=activeFilter&&activeFilter!==key;const grad=ctx.createRadialGradient(g.cx,g.cy,0,g.cx,g.cy,g.radius*1.3);grad.addColorStop(0,g.color+(dimmed?'05':'12'));grad.addColorStop(0.7,g.color+(dimmed?'03':'08'));grad.addColorStop(1,'transparent');ctx.fillStyle=grad;ctx.beginPath();ctx.arc(g.cx,g.cy,g.radius*1.3,0,Math.PI*2);ctx.fill();ctx.beginPath();ctx.arc(g.cx,g.cy,g.radius,0,Math.PI*2);ctx.strokeStyle=g.color+(dimmed?'10':'25');ctx.lineWidth=1.5/zoom;ctx.setLineDash([4/zoom,4/zoom]);ctx.stroke();ctx.setLineDash([]);const fs=Math.max(10,Math.min(18,14/zoom));ctx.font='700 '+fs+'px Inter';ctx.fillStyle=g.color+(dimmed?'40':'cc');ctx.textAlign='center';ctx.fillText(g.label+' ('+g.count+')',g.cx,g.cy-g.radius-8/zoom)});edges.forEach(e=>{const sv=isVisible(e.source),tv=isVisible(e.target);if(!sv&&!tv)return;const hl=hoveredNode&&(e.source===hoveredNode||e.target===hoveredNode);ctx.beginPath();ctx.moveTo(e.source.x,e.source.y);ctx.lineTo(e.target.x,e.target.y);if(hl){ctx.strokeStyle='rgba(167,139,250,0.7)';ctx.lineWidth=2/zoom}else if(e.source.table===e.target.table){ctx.strokeStyle='rgba(255,255,255,'+((sv&&tv)?0.06:0.02)+')';ctx.lineWidth=0.5/zoom}else{ctx.strokeStyle=e.source.color+((sv&&tv)?'30':'10');ctx.lineWidth=1/zoom}ctx.stroke();if(hl){const angle=Math.atan2(e.target.y-e.source.y,e.target.x-e.source.x);const mx=(e.source.x+e.target.x)/2,my=(e.source.y+e.target.y)/2,as=6/zoom;ctx.beginPath();ctx.moveTo(mx,my);ctx.lineTo(mx-as*Math.cos(angle-0.4),my-as*Math.sin(angle-0.4));ctx.moveTo(mx,my);ctx.lineTo(mx-as*Math.cos(angle+0.4),my-as*Math.sin(angle+0.4));ctx.stroke()}});const showLabels=zoom>0.6,showDetails=zoom>1.5;nodes.forEach(n=>{const vis=isVisible(n),r=n.radius;const isHov=n===hoveredNode;const connected=hoveredNode&&edges.some(e=>(e.source===hoveredNode&&e.target===n)||(e.target===hoveredNode&&e.source===n));ctx.globalAlpha=vis?(isHov?1:(hoveredNode?(connected?0.9:0.08):0.85)):0.03;if(isHov||connected){const g2=ctx.createRadialGradient(n.x,n.y,0,n.x,n.y,r*3);g2.addColorStop(0,n.color+'30');g2.addColorStop(1,'transparent');ctx.fillStyle=g2;ctx.beginPath();ctx.arc(n.x,n.y,r*3,0,Math.PI*2);ctx.fill()}ctx.beginPath();ctx.arc(n.x,n.y,r,0,Math.PI*2);ctx.fillStyle=n.color+(isHov?'ee':'77');ctx.fill();ctx.strokeStyle=n.color+(isHov?'ff':'44');ctx.lineWidth=(isHov?2:0.5)/zoom;ctx.stroke();if(showLabels&&(isHov||connected||r>10||showDetails)){ctx.font=(isHov?'600':'400')+' 9px Inter';ctx.fillStyle=isHov?'#fff':(connected?'#ddd':'#888');ctx.textAlign='center';ctx.fillText(n.label,n.x,n.y-r-3)}ctx.globalAlpha=1});ctx.restore();const totalTables=Object.keys(tables).filter(k=>tables[k].count>0).length;document.getElementById('stats').textContent=totalTables+' tables · '+nodes.length+' records · '+edges.length+' relationships · zoom '+zoom.toFixed(2)+'x'}function getNodeAt(mx,my){const w=screenToWorld(mx,my);let best=null,bestD=Infinity;nodes.forEach(n=>{const d=Math.sqrt((w.x-n.x)**2+(w.y-n.y)**2);if(d<n.radius*1.5&&d<bestD){best=n;bestD=d}});return best}function getGroupAt(mx,my){const w=screenToWorld(mx,my);let best=null,bestD=Infinity;Object.entries(groups).forEach(([key,g])=>{if(!g.nodes.length)return;const ly=g.cy-g.radius-8/zoom;const d=Math.sqrt((w.x-g.cx)**2+(w.y-ly)**2);if(d<60/zoom&&d<bestD){best=key;bestD=d}});return best}canvas.addEventListener('mousedown',e=>{dragging=true;dragStart={x:e.clientX,y:e.clientY};panStart={x:pan.x,y:pan.y}});canvas.addEventListener('mousemove',e=>{if(dragging){pan.x=panStart.x+(e.clientX-dragStart.x);pan.y=panStart.y+(e.clientY-dragStart.y);draw();return}const node=getNodeAt(e.clientX,e.clientY);if(node!==hoveredNode){hoveredNode=node;draw()}const tt=document.getElementById('tooltip');if(node){const cfg=tables[node.table];tt.style.display='block';tt.style.left=Math.min(e.clientX+16,window.innerWidth-400)+'px';tt.style.top=Math.min(e.clientY+16,window.innerHeight-300)+'px';tt.querySelector('.tt-type').textContent=cfg.label;tt.querySelector('.tt-type').style.color=cfg.color;tt.querySelector('.tt-name').textContent=node.label;let html='';Object.entries(node.record).forEach(([k,v])=>{if(k==='embedding'||k==='metadata'||k==='config'||k==='token')return;let val=v===null?'\\u2205':(typeof v==='string'?(v.length>50?v.slice(0,48)+'\\u2026':v):JSON.stringify(v));html+='<span class="fk">'+k+'</span>: <span class="fv">'+val+'</span><br>'});const connCount=edges.filter(ed=>ed.source===node||ed.target===node).length;if(connCount)html+='<br><span class="fk">connections</span>: <span class="fv">'+connCount+'</span>';tt.querySelector('.tt-fields').innerHTML=html}else tt.style.display='none'});canvas.addEventListener('mouseup',e=>{if(dragging&&Math.abs(e.clientX-dragStart.x)<3&&Math.abs(e.clientY-dragStart.y)<3){const grp=getGroupAt(e.clientX,e.clientY);if(grp)zoomToGroup(grp)}dragging=false});canvas.addEventListener('dblclick',e=>{e.preventDefault();zoomToAll()});canvas.addEventListener('wheel',e=>{e.preventDefault();const zf=e.deltaY<0?1.12:0.89;pan.x=e.clientX-(e.clientX-pan.x)*zf;pan.y=e.clientY-(e.clientY-pan.y)*zf;zoom*=zf;zoom=Math.max(0.08,Math.min(8,zoom));draw()},{passive:false});document.getElementById('search').addEventListener('input',e=>{searchTerm=e.target.value.toLowerCase();draw()});document.addEventListener('keydown',e=>{if(e.key==='Escape'){activeFilter=null;searchTerm='';document.getElementById('search').value='';document.querySelectorAll('.legend-item').forEach(l=>l.classList.remove('dimmed','active'));draw()}if((e.key==='f'||e.key==='F')&&document.activeElement.tagName!=='INPUT')zoomToAll()});function resize(){canvas.width=window.innerWidth*dpr;canvas.height=window.innerHeight*dpr;canvas.style.width=window.innerWidth+'px';canvas.style.height=window.innerHeight+'px';ctx.setTransform(dpr,0,0,dpr,0,0);draw()}window.addEventListener('resize',resize);resize();(async()=>{try{const base=window.location.href.replace(/\\/visualizer.*$/,'');const res=await fetch(base+'/graph-data');if(!res.ok)throw new Error('HTTP '+res.status);const data=await res.json();document.getElementById('loading').style.display='none';buildGraph(data)}catch(e){document.querySelector('#loading .msg').textContent='Error: '+e.message;document.getElementById('loading').querySelector('.spinner').style.display='none'}})()</script></body></html>`;
+// The page sources in visualizer/, read once and served without indentation,
+// blank lines and whole-line comments
+const pageSources = {};
+function pageSource(name) {
+    if (!(name in pageSources)) {
+        const text = fs.readFileSync(new URL(`./visualizer/${name}`, import.meta.url), 'utf-8');
+        pageSources[name] = text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('//')).join('\n');
+    }
+    return pageSources[name];
+}
+
+// The entire visualizer HTML, served as text/html from Xano or by `serve`.
+// Auto-fetches ./graph-data relative to its own URL, sending the credential
+// the page asked for when the data endpoint isn't public
+function buildVisualizerHtml(access = { mode: 'public' }, overrides = null) {
+    const pageAccess = JSON.stringify({ mode: access.mode, authTable: access.authTable || null });
+    const pageOverrides = JSON.stringify(overrides || {}).replace(/</g, '\\u003c');
+    const script = `${graphModelSource()}\nconst OVERRIDES=${pageOverrides};\nconst ACCESS=${pageAccess};\n${pageSource('page.js')}`;
+    // Functions, not strings, as replacements: the sources are full of `$`
+    return pageSource('page.html').replace(/>\n</g, '><')
+        .replace('/* page.css */', () => pageSource('page.css'))
+        .replace('/* page.js */', () => script);
+}
 
+function generateVisualizerXanoScript(access = { mode: 'public' }, tag = '', overrides = null) {
     // Escape quotes for XanoScript string
-    const escaped = html.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const escaped = buildVisualizerHtml(access, overrides).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+    const description = `Serves the interactive graph visualizer HTML page ${tag}`.trim();
 
     return `query "visualizer" verb=GET {
-  description = "Serves the interactive graph visualizer HTML page"
+  description = ${xsLiteral(description)}
 
   input {
   }
@@ -272,34 +1061,97 @@ function generateVisualizerXanoScript() {
 }`;
 }
 
-async function deploy(config, tables) {
-    console.log('\n─── Step 3: Deploy Endpoint ───\n');
+// Fingerprint of the selected tables' schemas. Stored with each deployment so
+// `status` and `update` can tell when the database drifted from what the
+// deployed graph-data query was generated for.
+function schemaVersion(tables) {
+    const shape = tables
+        .map(t => [tableKey(t.name), (t.schema || []).map(f => [f.name, f.type, f.style || null, f.tableref_id != null ? f.tableref_id : null])])
+        .sort((a, b) => (a[0] < b[0] ? -1 : 1));
+    return sha256(JSON.stringify(shape)).slice(0, 12);
+}
+
+// Appended to both endpoint descriptions, e.g.
+// [xano-db-visualizer 1.0.0 schema=3f9a2c1b7d4e access=public tables=user,order]
+// with ` datasources=live,test` before the bracket when graph-data can switch
+function deploymentTag(tables, access, datasources) {
+    const sources = datasources ? ` datasources=${datasources.join(',')}` : '';
+    return `[xano-db-visualizer ${VERSION} schema=${schemaVersion(tables)} access=${access.mode} tables=${tables.map(t => tableKey(t.name)).join(',')}${sources}]`;
+}
+
+function parseDeploymentTag(text) {
+    const m = /\[xano-db-visualizer (\S+) schema=([0-9a-f]+) access=(\w+) tables=([^\]\s]*)(?: datasources=([^\]\s]*))?\]/.exec(text || '');
+    return m && { version: m[1], schema: m[2], access: m[3], tables: splitList(m[4]), datasources: m[5] ? splitList(m[5]) : null };
+}
 
+function generateScripts(tables, access, datasources = null, overrides = null) {
+    const tag = deploymentTag(tables, access, datasources);
+    return {
+        'graph-data': generateGraphDataXanoScript(tables, access, tag, datasources),
+        'visualizer': generateVisualizerXanoScript(access, tag, overrides),
+    };
+}
+
+// Finds what an earlier run deployed: the API group by the ID stored in the
+// settings file, else by exact name, and our endpoints in it by stored ID,
+// else by exact name. `managed` is false for a same-named group that holds
+// endpoints we did not create and was never marked as ours.
+async function findDeployment(config, settings) {
     const { baseUrl, token, workspaceId } = config;
     const wsPath = `/workspace/${workspaceId}`;
+    const stored = settings.deployments[deploymentKey(config)] || {};
+    const sameId = (a, b) => b != null && String(a) === String(b);
+
+    const groups = asList(await xanoGet(baseUrl, token, onBranch(config, `${wsPath}/apigroup`)));
+    const group = groups.find(g => sameId(g.id, stored.apiGroupId)) || groups.find(g => g.name === API_GROUP_NAME);
+    if (!group) return null;
+
+    const apis = asList(await xanoGet(baseUrl, token, onBranch(config, `${wsPath}/apigroup/${group.id}/api`)));
+    const storedIds = stored.endpoints || {};
+    const endpoints = {};
+    ENDPOINT_NAMES.forEach(name => {
+        const api = apis.find(a => sameId(a.id, storedIds[name])) || apis.find(a => a.name === name);
+        if (api) endpoints[name] = api;
+    });
+    const foreign = apis.filter(a => !Object.values(endpoints).includes(a));
+    const managed = sameId(group.id, stored.apiGroupId)
+        || (group.description || '').includes(MANAGED_MARKER)
+        || !foreign.length;
+
+    let tag = null;
+    const dataEndpoint = endpoints['graph-data'];
+    if (dataEndpoint) {
+        const description = dataEndpoint.description != null ? dataEndpoint.description
+            : (await xanoGet(baseUrl, token, onBranch(config, `${wsPath}/apigroup/${group.id}/api/${dataEndpoint.id}`))).description;
+        tag = parseDeploymentTag(description);
+    }
+    return { group, endpoints, foreign, managed, tag };
+}
 
-    // Check for existing Visualizer API group
-    console.log('Checking for existing API group...');
-    let apiGroupId;
-    try {
-        const groups = await xanoGet(baseUrl, token, `${wsPath}/apigroup`);
-        const list = Array.isArray(groups) ? groups : (groups.items || []);
-        const existing = list.find(g => g.name === 'Visualizer');
-        if (existing) {
-            apiGroupId = existing.id;
-            console.log(`  ⚠ "Visualizer" API group already exists (id: ${apiGroupId})`);
-        }
-    } catch (e) {
-        // Swallow — we'll create it
+async function deploy(config, scripts, settings, found) {
+    console.log('\n─── Step 4: Deploy Endpoint ───\n');
+
+    const { baseUrl, token, workspaceId } = config;
+    const wsPath = `/workspace/${workspaceId}`;
+
+    console.log('Checking for an existing deployment...');
+    if (found === undefined) found = await findDeployment(config, settings);
+    if (found && !found.managed) {
+        throw new Error(`An API group named "${found.group.name}" (id: ${found.group.id}) already exists and holds endpoints this tool did not create (${found.foreign.map(a => a.name).join(', ')}) — rename it or move those endpoints, then run again`);
     }
 
-    // Create API group if needed
-    if (!apiGroupId) {
-        console.log('Creating "Visualizer" API group...');
+    let apiGroupId;
+    if (found) {
+        apiGroupId = found.group.id;
+        console.log(`  ✓ Reusing "${found.group.name}" API group (id: ${apiGroupId})`);
+    } else {
+        console.log(`Creating "${API_GROUP_NAME}" API group...`);
         try {
-            const result = await xanoXs(baseUrl, token, `${wsPath}/apigroup`,
-                `api_group "Visualizer" { swagger = {active: true} }`
-            );
+            const result = await xanoXs(baseUrl, token, onBranch(config, `${wsPath}/apigroup`),
+                `api_group "${API_GROUP_NAME}" {
+  description = ${xsLiteral(MANAGED_MARKER)}
+  swagger = {active: true}
+}`);
             apiGroupId = result.id;
             console.log(`  ✓ Created (id: ${apiGroupId})`);
         } catch (e) {
@@ -307,21 +1159,18 @@ async function deploy(config, tables) {
         }
     }
 
-    // Generate XanoScript for both endpoints
-    const graphDataXs = generateGraphDataXanoScript(tables);
-    const visualizerXs = generateVisualizerXanoScript();
-
-    // Deploy graph-data endpoint
-    console.log('Deploying graph-data endpoint...');
-    await deployEndpoint(baseUrl, token, wsPath, apiGroupId, graphDataXs, 'graph-data');
+    // Deploy graph-data first so the page never points at a missing endpoint
+    const endpoints = {};
+    for (const [name, xs] of Object.entries(scripts)) {
+        console.log(`Deploying ${name} endpoint...`);
+        endpoints[name] = await deployEndpoint(config, apiGroupId, xs, name, found && found.endpoints[name]);
+    }
 
-    // Deploy visualizer HTML endpoint
-    console.log('Deploying visualizer HTML endpoint...');
-    await deployEndpoint(baseUrl, token, wsPath, apiGroupId, visualizerXs, 'visualizer');
+    recordDeployment(settings, config, { apiGroupId, endpoints, deployedAt: new Date().toISOString() });
 
     // Get the canonical to build the public URL
     console.log('\nResolving public URL...');
-    const groupDetails = await xanoGet(baseUrl, token, `${wsPath}/apigroup/${apiGroupId}`);
+    const groupDetails = await xanoGet(baseUrl, token, onBranch(config, `${wsPath}/apigroup/${apiGroupId}`));
     const canonical = groupDetails.canonical;
     if (!canonical) {
         console.log('  ⚠ Could not determine canonical ID from API group');
@@ -329,96 +1178,1018 @@ async function deploy(config, tables) {
         return null;
     }
 
-    return `${baseUrl}/api:${canonical}/visualizer`;
+    return `${groupUrl(config, canonical)}/visualizer`;
 }
 
-async function deployEndpoint(baseUrl, token, wsPath, apiGroupId, xs, name) {
+// Replaces the endpoint an earlier run deployed, or creates it. Any failure
+// aborts the run: a visualizer page talking to a stale graph-data is worse
+// than an error.
+async function deployEndpoint(config, apiGroupId, xs, name, existing) {
+    const { baseUrl, token, workspaceId } = config;
+    const apiPath = `/workspace/${workspaceId}/apigroup/${apiGroupId}/api`;
     try {
-        await xanoXs(baseUrl, token, `${wsPath}/apigroup/${apiGroupId}/api`, xs);
-        console.log(`  ✓ ${name} deployed`);
+        if (existing) {
+            await xanoXs(baseUrl, token, onBranch(config, `${apiPath}/${existing.id}`), xs, 'PUT');
+            console.log(`  ✓ ${name} updated (id: ${existing.id})`);
+            return existing.id;
+        }
+        const result = await xanoXs(baseUrl, token, onBranch(config, apiPath), xs);
+        console.log(`  ✓ ${name} deployed (id: ${result.id})`);
+        return result.id;
     } catch (e) {
-        if (e.message.includes('already exists')) {
-            console.log(`  ⚠ ${name} already exists — updating...`);
-            try {
-                const apis = await xanoGet(baseUrl, token, `${wsPath}/apigroup/${apiGroupId}/api`);
-                const list = Array.isArray(apis) ? apis : (apis.items || []);
-                const existing = list.find(a => a.name && a.name.includes(name));
-                if (existing) {
-                    await sleep(RATE_LIMIT_MS);
-                    const url = `${baseUrl}/api:meta${wsPath}/apigroup/${apiGroupId}/api/${existing.id}`;
-                    const res = await fetch(url, {
-                        method: 'PUT',
-                        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'text/x-xanoscript' },
-                        body: xs
-                    });
-                    if (res.ok) console.log(`  ✓ ${name} updated`);
-                    else console.log(`  ⚠ Update returned ${res.status}`);
+        throw new Error(`Failed to deploy ${name}: ${e.message}`);
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Graph model & data exports (shared with the visualizer page)
+// ─────────────────────────────────────────────────────────────────────────────
+//
+// The page embeds these through Function#toString(), so the CLI and the
+// browser build exactly the same nodes and edges from a graph-data snapshot.
+// Keep them self-contained: they may only use each other and PALETTE.
+
+const PALETTE = ['#60a5fa', '#818cf8', '#34d399', '#f472b6', '#fbbf24', '#fb923c', '#38bdf8', '#a3e635', '#ef4444', '#c084fc', '#14b8a6', '#e879f9', '#f59e0b', '#22d3ee', '#6ee7b7', '#f87171', '#a78bfa', '#fdba74', '#67e8f9', '#86efac', '#fca5a5', '#d8b4fe', '#fcd34d', '#5eead4', '#93c5fd', '#bef264', '#fb7185', '#7dd3fc'];
+const EXPORT_FORMATS = ['graphml', 'gexf', 'dot', 'json'];
+const AUDIT_FORMATS = ['json', 'markdown'];
+
+// Per-table display settings and references, as `refs[path] = { target, kind, label }`.
+// Tables with a schema take their columns' references from it; the others
+// have them guessed from names over every record: `owner_id` → owner,
+// `tag_ids: [1, 2]` → tag. Everywhere, `*_id` keys inside JSON columns
+// (`meta.author_id`, `items.product_id`) are references too, and a
+// `subject_type`/`subject_id` pair is a polymorphic one, whose target table
+// is named per record (`types` maps each type value to a table). `overrides`
+// adds, removes and renames references and names join tables to collapse.
+function detectTables(data, overrides = {}) {
+    const tables = {};
+    const rels = data.relationships || [], schema = data.schema || {}, totals = data.totals || {};
+    if (data.tables && !Array.isArray(data.tables)) data = data.tables;
+    const tableNames = Object.keys(data).filter(k => Array.isArray(data[k]) && (data[k].length > 0 || totals[k] > 0));
+    const tableNameIndex = {};
+    tableNames.forEach(t => {
+        tableNameIndex[t.toLowerCase()] = t;
+        tableNameIndex[t.toLowerCase().replace(/\s+/g, '_')] = t;
+        if (t.endsWith('s')) tableNameIndex[t.slice(0, -1).toLowerCase()] = t;
+        if (t.endsWith('es')) tableNameIndex[t.slice(0, -2).toLowerCase()] = t;
+    });
+    const guess = name => {
+        const prefix = name.toLowerCase();
+        return tableNameIndex[prefix] || tableNameIndex[prefix + 's'] || tableNameIndex[prefix.replace(/s$/, '')];
+    };
+    // "App\Models\BlogPost" and "blog_post" both name the blog_post table
+    const typeTable = value => guess(String(value).split(/[\\/.:]/).pop().replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
+    const rules = overrides || {};
+
+    tableNames.forEach((key, i) => {
+        const records = data[key], sample = records[0] || {};
+        // Every key of every record, and below the top level only keys that
+        // can be references, with whether a list was crossed on the way
+        const paths = new Map();
+        const walk = (value, prefix, list, depth) => Object.entries(value).forEach(([k, v]) => {
+            const p = prefix ? prefix + '.' + k : k;
+            const isList = list || Array.isArray(v);
+            if (!prefix || /_(ids?|type)$/.test(k)) paths.set(p, (paths.get(p) || false) || isList);
+            if (depth < 3 && v && typeof v === 'object') (Array.isArray(v) ? v : [v]).forEach(x => { if (x && typeof x === 'object' && !Array.isArray(x)) walk(x, p, isList, depth + 1); });
+        });
+        records.forEach(r => walk(r, '', false, 0));
+
+        const refs = {};
+        if (schema[key]) {
+            rels.forEach(r => {
+                // Empty targets are kept: every reference into them is broken
+                if (r.source === key && Array.isArray(data[r.target])) refs[r.field] = { target: r.target, kind: r.cardinality };
+            });
+        }
+        paths.forEach((list, p) => {
+            const name = p.split('.').pop();
+            if (refs[p] || name === 'id' || !/_ids?$/.test(name)) return;
+            const typeField = p.replace(/_ids?$/, '_type');
+            if (!p.includes('.') && paths.has(typeField)) {
+                const types = {};
+                records.forEach(r => { const t = r[typeField]; if (t != null && t !== '' && !(t in types)) types[t] = typeTable(t); });
+                Object.keys(types).forEach(t => { if (!types[t]) delete types[t]; });
+                // A type column that names no table (user_type: "admin") is
+                // not a polymorphic pair: fall back to the name
+                if (Object.keys(types).length) {
+                    refs[p] = { target: null, kind: 'polymorphic', typeField, types };
+                    return;
                 }
-            } catch (e2) {
-                console.log(`  ⚠ Could not auto-update ${name}: ${e2.message}`);
             }
-        } else {
-            console.log(`  ✗ Failed to deploy ${name}: ${e.message}`);
+            // A table's own columns are described by its schema
+            if (schema[key] && !p.includes('.')) return;
+            const target = guess(name.replace(/_ids?$/, ''));
+            if (target) refs[p] = { target, kind: list ? 'many-to-many' : 'many-to-one' };
+        });
+
+        (rules.remove || []).forEach(r => { if (r.source === key) delete refs[r.field]; });
+        (rules.add || []).forEach(r => {
+            if (r.source !== key) return;
+            if (r.typeField) {
+                const types = {};
+                records.forEach(rec => { const t = rec[r.typeField]; if (t != null && t !== '' && typeTable(t)) types[t] = typeTable(t); });
+                refs[r.field] = { target: null, kind: 'polymorphic', typeField: r.typeField, types: { ...types, ...r.types } };
+            } else if (Array.isArray(data[r.target])) {
+                refs[r.field] = { target: r.target, kind: r.cardinality || (paths.get(r.field) ? 'many-to-many' : 'many-to-one') };
+            }
+        });
+        (rules.rename || []).forEach(r => { if (r.source === key && refs[r.field]) refs[r.field].label = r.label; });
+        Object.entries(refs).forEach(([f, r]) => { r.label = r.label || f; });
+
+        const fields = Object.keys(sample);
+        tables[key] = {
+            color: PALETTE[i % PALETTE.length],
+            label: prettifyName(key),
+            refs,
+            nameField: detectNameField(fields, sample),
+            records,
+            count: Math.max(totals[key] || 0, records.length),
+            loaded: records.length,
+        };
+    });
+
+    // Join tables: two references to single records and nothing else but
+    // timestamps, or named after the tables they join (user_project)
+    const named = Array.isArray(rules.collapse) ? rules.collapse : [];
+    Object.entries(tables).forEach(([key, cfg]) => {
+        const pair = Object.keys(cfg.refs).filter(f => cfg.refs[f].kind === 'many-to-one' && !f.includes('.'));
+        if (pair.length !== 2) return;
+        const [a, b] = pair.map(f => cfg.refs[f].target);
+        const rest = [...new Set(cfg.records.flatMap(Object.keys))].filter(f => !pair.includes(f) && !['id', 'created_at', 'updated_at'].includes(f));
+        if (!rest.length || named.includes(key) || key === a + '_' + b || key === b + '_' + a) cfg.join = pair;
+    });
+    return tables;
+}
+
+function detectNameField(fields, sample) {
+    const priorities = ['name', 'title', 'label', 'display_name', 'username', 'slug', 'email', 'description'];
+    for (const p of priorities) if (fields.includes(p)) return p;
+    for (const f of fields) {
+        if (f === 'id' || f === 'created_at' || f === 'updated_at') continue;
+        const v = sample[f];
+        if (typeof v === 'string' && v.length < 80 && v.length > 0) return f;
+    }
+    return 'id';
+}
+
+function prettifyName(str) {
+    return str.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// The scalar values at a dotted path, stepping into lists on the way:
+// `tag_ids` gives every id in the list, `items.product_id` every item's
+function refValues(rec, path) {
+    let values = [rec];
+    path.split('.').forEach(k => {
+        values = values.flatMap(v => (Array.isArray(v) ? v : [v])).map(v => (v && typeof v === 'object' ? v[k] : undefined));
+    });
+    return values.flatMap(v => (Array.isArray(v) ? v : [v])).filter(v => v != null && v !== '' && typeof v !== 'object');
+}
+
+// The join tables of `collapse` (true for all of them): those that are
+// collapsed into direct edges between the records they join
+function collapsedJoins(tables, collapse) {
+    return Object.keys(tables).filter(k => tables[k].join && (collapse === true || (Array.isArray(collapse) && collapse.includes(k))));
+}
+
+// One node per record and one edge per resolved reference. References to
+// records that aren't loaded are returned in `missing`. The records of the
+// `collapse`d join tables become edges between the two records they join,
+// labelled with the join table.
+function buildModel(tables, collapse = []) {
+    const nodes = [], edges = [], missing = [], byId = {};
+    const joins = new Set(collapse);
+    Object.entries(tables).forEach(([key, cfg]) => {
+        if (joins.has(key)) return;
+        cfg.records.forEach(rec => {
+            const raw = rec[cfg.nameField];
+            const name = raw != null ? String(raw) : '#' + rec.id;
+            const n = { id: key + ':' + rec.id, table: key, record: rec, name, label: name.length > 26 ? name.slice(0, 24) + '\u2026' : name, color: cfg.color };
+            nodes.push(n);
+            byId[n.id] = n;
+        });
+    });
+    Object.entries(tables).forEach(([key, cfg]) => {
+        if (joins.has(key)) {
+            cfg.records.forEach(rec => {
+                const ends = cfg.join.map(f => ({ f, table: cfg.refs[f].target, id: rec[f], node: byId[cfg.refs[f].target + ':' + rec[f]] }));
+                const [a, b] = ends;
+                if (a.node && b.node) edges.push({ source: a.node, target: b.node, fk: key, label: cfg.label, join: rec });
+                else ends.forEach((end, i) => {
+                    const other = ends[1 - i];
+                    if (!end.node && end.id != null && end.id !== '' && other.node) missing.push({ table: end.table, id: end.id, src: other.node.id, fk: key + '.' + end.f });
+                });
+            });
+            return;
+        }
+        Object.entries(cfg.refs).forEach(([fk, ref]) => {
+            cfg.records.forEach(rec => {
+                const target = ref.types ? ref.types[rec[ref.typeField]] : ref.target;
+                if (!target || joins.has(target)) return;
+                const source = byId[key + ':' + rec.id];
+                refValues(rec, fk).forEach(id => {
+                    const node = byId[target + ':' + id];
+                    if (node && node !== source) edges.push({ source, target: node, fk, label: ref.label });
+                    else if (!node) missing.push({ table: target, id, src: source.id, fk });
+                });
+            });
+        });
+    });
+    return { nodes, edges, missing };
+}
+
+// Broken and suspicious references: references to records that don't exist
+// (dangling), records without any relationship (orphans), list fields naming
+// the same record twice (duplicates) and reference fields whose type differs
+// from the target's id. `isDangling` tells broken references apart from ones
+// whose target just isn't loaded yet.
+function auditGraph(tables, model, schema = {}, isDangling = () => true) {
+    const { nodes, edges, missing } = model;
+    const linked = new Set();
+    edges.forEach(e => { linked.add(e.source); linked.add(e.target); });
+
+    const dangling = missing.filter(isDangling).map(m => ({ source: m.src, field: m.fk, table: m.table, id: m.id }));
+    const orphans = nodes.filter(n => !linked.has(n)).map(n => ({ id: n.id, table: n.table, label: n.name }));
+    const duplicates = [];
+    const typeMismatches = [];
+    Object.entries(tables).forEach(([key, cfg]) => Object.entries(cfg.refs).forEach(([fk, ref]) => {
+        if (ref.kind === 'many-to-many') cfg.records.forEach(rec => {
+            const counts = new Map();
+            refValues(rec, fk).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+            counts.forEach((count, id) => {
+                if (count > 1) duplicates.push({ source: key + ':' + rec.id, field: fk, table: ref.target, id, count });
+            });
+        });
+        // A polymorphic reference has no single target to compare with
+        const target = ref.target;
+        if (!target) return;
+
+        const declared = (schema[key] || []).find(f => f.name === fk);
+        const targetId = (schema[target] || []).find(f => f.name === 'id');
+        if (declared && targetId) {
+            if (declared.type.replace(/\[\]$/, '') !== targetId.type) {
+                typeMismatches.push({ table: key, field: fk, type: declared.type, target, targetType: targetId.type });
+            }
+            return;
         }
+        // Without a schema on both sides, compare the values themselves
+        const idTypes = new Set((tables[target] ? tables[target].records : []).map(r => typeof r.id));
+        const refTypes = new Set();
+        cfg.records.forEach(rec => refValues(rec, fk).forEach(v => refTypes.add(typeof v)));
+        const odd = [...refTypes].find(t => !idTypes.has(t));
+        if (idTypes.size && odd) typeMismatches.push({ table: key, field: fk, type: odd, target, targetType: [...idTypes].join('|') });
+    }));
+
+    return {
+        summary: {
+            records: nodes.length,
+            references: edges.length,
+            dangling: dangling.length,
+            orphans: orphans.length,
+            duplicates: duplicates.length,
+            typeMismatches: typeMismatches.length,
+        },
+        dangling, orphans, duplicates, typeMismatches,
+    };
+}
+
+// Serialises nodes/edges for Gephi, yEd, Graphviz & co. Every format keeps
+// each node's table, label and color and each edge's foreign-key field.
+function exportGraph(format, nodes, edges) {
+    const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const q = s => '"' + String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+    const rgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const edgeList = edges.map((e, i) => ({ id: 'e' + i, source: e.source.id, target: e.target.id, fk: e.fk, label: e.label || e.fk }));
+
+    if (format === 'json') {
+        return JSON.stringify({
+            nodes: nodes.map(n => ({ id: n.id, table: n.table, label: n.name, color: n.color, record: n.record })),
+            edges: edgeList.map(e => ({ source: e.source, target: e.target, fk: e.fk, label: e.label })),
+        }, null, 2) + '\n';
+    }
+    if (format === 'graphml') {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            '  <key id="table" for="node" attr.name="table" attr.type="string"/>',
+            '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+            '  <key id="color" for="node" attr.name="color" attr.type="string"/>',
+            '  <key id="fk" for="edge" attr.name="fk" attr.type="string"/>',
+            '  <key id="elabel" for="edge" attr.name="label" attr.type="string"/>',
+            '  <graph id="xano" edgedefault="directed">',
+            ...nodes.map(n => `    <node id="${esc(n.id)}"><data key="table">${esc(n.table)}</data><data key="label">${esc(n.name)}</data><data key="color">${esc(n.color)}</data></node>`),
+            ...edgeList.map(e => `    <edge id="${e.id}" source="${esc(e.source)}" target="${esc(e.target)}"><data key="fk">${esc(e.fk)}</data><data key="elabel">${esc(e.label)}</data></edge>`),
+            '  </graph>',
+            '</graphml>',
+            '',
+        ].join('\n');
+    }
+    if (format === 'gexf') {
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+            '  <graph defaultedgetype="directed">',
+            '    <attributes class="node"><attribute id="table" title="table" type="string"/></attributes>',
+            '    <attributes class="edge"><attribute id="fk" title="fk" type="string"/></attributes>',
+            '    <nodes>',
+            ...nodes.map(n => {
+                const [r, g, b] = rgb(n.color);
+                return `      <node id="${esc(n.id)}" label="${esc(n.name)}"><attvalues><attvalue for="table" value="${esc(n.table)}"/></attvalues><viz:color r="${r}" g="${g}" b="${b}"/></node>`;
+            }),
+            '    </nodes>',
+            '    <edges>',
+            ...edgeList.map(e => `      <edge id="${e.id}" source="${esc(e.source)}" target="${esc(e.target)}" label="${esc(e.label)}"><attvalues><attvalue for="fk" value="${esc(e.fk)}"/></attvalues></edge>`),
+            '    </edges>',
+            '  </graph>',
+            '</gexf>',
+            '',
+        ].join('\n');
     }
+    if (format === 'dot') {
+        const byTable = {};
+        nodes.forEach(n => (byTable[n.table] = byTable[n.table] || []).push(n));
+        return [
+            'digraph xano {',
+            '  node [shape=ellipse, style=filled, fontname="Helvetica"];',
+            ...Object.entries(byTable).flatMap(([table, list]) => [
+                `  subgraph ${q('cluster_' + table)} {`,
+                `    label=${q(table)};`,
+                ...list.map(n => `    ${q(n.id)} [label=${q(n.name)}, table=${q(n.table)}, fillcolor=${q(n.color)}];`),
+                '  }',
+            ]),
+            ...edgeList.map(e => `  ${q(e.source)} -> ${q(e.target)} [label=${q(e.label)}, fk=${q(e.fk)}];`),
+            '}',
+            '',
+        ].join('\n');
+    }
+    throw new Error('Unknown export format: ' + format);
+}
+
+// Page-side copy of the section above, spliced into the visualizer's script
+function graphModelSource() {
+    return `const PALETTE=${JSON.stringify(PALETTE)};` + [detectTables, detectNameField, prettifyName, refValues, collapsedJoins, buildModel, auditGraph, exportGraph].map(String).join('\n');
 }
 
-async function fallbackSave(xs, baseUrl, token, wsPath, apiGroupId) {
-    const fs = await import('fs');
-    const filePath = 'graph-data.xs';
-    fs.writeFileSync(filePath, xs, 'utf-8');
-    console.log(`\n  ✓ XanoScript saved to ${filePath}`);
-    console.log('\n  To deploy manually:');
-    console.log('    1. Open your Xano workspace');
-    console.log('    2. Go to the "Visualizer" API group (or create one)');
-    console.log('    3. Add a new GET endpoint');
-    console.log('    4. Switch to the XanoScript editor');
-    console.log(`    5. Paste the contents of ${filePath}`);
-    console.log('    6. Save & publish');
+// The records in a full graph-data response ({ tables: { key: [records] },
+// schema, relationships }), or in the bare { key: [records] } that graph-data
+// returned before it was paged
+function snapshotTables(data) {
+    const source = data.tables && !Array.isArray(data.tables) ? data.tables : data;
+    const tables = Object.fromEntries(Object.entries(source).filter(([, v]) => Array.isArray(v)));
+    return { tables, schema: data.schema || {}, relationships: data.relationships || [] };
+}
+
+// A snapshot file holds a full graph-data response, as written by `snapshot`
+function readSnapshot(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Could not read snapshot ${file}: ${e.message}`);
+    }
+    const snapshot = snapshotTables(data);
+    if (!Object.keys(snapshot.tables).length) throw new Error(`${file} is not a graph-data snapshot (no tables of records)`);
+    return snapshot;
+}
 
-    // Still try to resolve the canonical for the URL
+// A --relationships file: corrections to the references detectTables finds,
+// applied by the visualizer and by export and audit.
+//   add:      [{ source, field, target, cardinality? }] or, for a polymorphic
+//             reference, [{ source, field, typeField, types?: { value: table } }]
+//   remove:   [{ source, field }]
+//   rename:   [{ source, field, label }]
+//   collapse: true, or the join tables to draw as direct edges
+// Table names are checked against `tableKeys` when they are known.
+function readRelationships(file, tableKeys = null) {
+    let data;
     try {
-        const groupDetails = await xanoGet(baseUrl, token, `${wsPath}/apigroup/${apiGroupId}`);
-        if (groupDetails.canonical) {
-            return `${baseUrl}/api:${groupDetails.canonical}/graph-data`;
+        data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+        throw new Error(`Could not read relationships ${file}: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file} must hold an object with add, remove, rename or collapse`);
+    const unknownKeys = Object.keys(data).filter(k => !['add', 'remove', 'rename', 'collapse'].includes(k));
+    if (unknownKeys.length) throw new Error(`${file}: unknown key "${unknownKeys[0]}" (expected add, remove, rename or collapse)`);
+    const table = (name, where) => {
+        if (typeof name !== 'string' || !name) throw new Error(`${where} needs a table name`);
+        if (tableKeys && !tableKeys.includes(name)) throw new Error(`${where}: "${name}" is not one of the visualized tables (${tableKeys.join(', ')})`);
+    };
+    ['add', 'remove', 'rename'].forEach(kind => {
+        if (data[kind] === undefined) return;
+        if (!Array.isArray(data[kind])) throw new Error(`${file}: ${kind} must be a list`);
+        data[kind].forEach((r, i) => {
+            const where = `${file}: ${kind}[${i}]`;
+            if (!r || typeof r.field !== 'string' || !r.field) throw new Error(`${where} needs a field`);
+            table(r.source, `${where} source`);
+            if (kind === 'rename' && (typeof r.label !== 'string' || !r.label)) throw new Error(`${where} needs a label`);
+            if (kind !== 'add') return;
+            if (r.typeField) {
+                Object.values(r.types || {}).forEach(t => table(t, `${where} types`));
+            } else {
+                table(r.target, `${where} target`);
+                if (r.cardinality && !['many-to-one', 'many-to-many'].includes(r.cardinality)) {
+                    throw new Error(`${where}: unknown cardinality "${r.cardinality}" (expected many-to-one or many-to-many)`);
+                }
+            }
+        });
+    });
+    if (Array.isArray(data.collapse)) data.collapse.forEach((t, i) => table(t, `${file}: collapse[${i}]`));
+    else if (data.collapse !== undefined && typeof data.collapse !== 'boolean') throw new Error(`${file}: collapse must be true or a list of join tables`);
+    return data;
+}
+
+// The --relationships file of export and audit, looked up like
+// resolveSettings does (flag, env, settings file) but without a word on
+// stdout, which holds the result
+function snapshotRelationships(args, env, tableKeys) {
+    const configPath = args.config || env.XANO_CONFIG || CONFIG_FILE;
+    const file = loadConfigFile(configPath, Boolean(args.config || env.XANO_CONFIG), true);
+    const source = [args.relationships, env.XANO_RELATIONSHIPS, file.relationships].find(v => v !== undefined);
+    return source ? readRelationships(source, tableKeys) : {};
+}
+
+// `export`: the same data exports, headless, from a snapshot file
+function exportSnapshot(args) {
+    if (!args.snapshot) throw new Error('export needs --snapshot <file>');
+    const ext = args.out ? path.extname(args.out).slice(1).toLowerCase() : '';
+    const format = (args.format || '').toLowerCase() || (ext === 'gv' ? 'dot' : EXPORT_FORMATS.includes(ext) ? ext : 'json');
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Unknown export format "${format}" (expected ${EXPORT_FORMATS.join(', ')})`);
+
+    const snapshot = readSnapshot(args.snapshot);
+    const overrides = snapshotRelationships(args, process.env, Object.keys(snapshot.tables));
+    const tables = detectTables(snapshot, overrides);
+    const { nodes, edges } = buildModel(tables, collapsedJoins(tables, overrides.collapse));
+    writeResult(args.out, exportGraph(format, nodes, edges), `${nodes.length} nodes and ${edges.length} edges`, format);
+}
+
+// `audit`: the visualizer's integrity report for a snapshot, for scheduled
+// jobs. A snapshot holds every record, so every missing reference is broken.
+function auditSnapshot(args) {
+    if (!args.snapshot) throw new Error('audit needs --snapshot <file>');
+    const ext = args.out ? path.extname(args.out).slice(1).toLowerCase() : '';
+    const format = (args.format || '').toLowerCase().replace(/^md$/, 'markdown') || (['md', 'markdown'].includes(ext) ? 'markdown' : 'json');
+    if (!AUDIT_FORMATS.includes(format)) throw new Error(`Unknown audit format "${format}" (expected ${AUDIT_FORMATS.join(', ')})`);
+
+    const snapshot = readSnapshot(args.snapshot);
+    // Join table rows are audited as records, collapsed or not
+    const tables = detectTables(snapshot, snapshotRelationships(args, process.env, Object.keys(snapshot.tables)));
+    const report = auditGraph(tables, buildModel(tables), snapshot.schema);
+    const output = format === 'markdown'
+        ? auditMarkdown(report, args.snapshot)
+        : JSON.stringify({ snapshot: args.snapshot, ...report }, null, 2) + '\n';
+    const s = report.summary;
+    writeResult(args.out, output, `an audit of ${s.records} records (${s.dangling} dangling, ${s.orphans} orphaned, ${s.duplicates} duplicate, ${s.typeMismatches} type mismatches)`, format);
+}
+
+function auditMarkdown(report, file) {
+    const cell = v => String(v).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+    const table = (title, head, rows) => rows.length
+        ? [`## ${title}`, '', `| ${head.join(' | ')} |`, `|${head.map(() => '---').join('|')}|`, ...rows.map(r => `| ${r.map(cell).join(' | ')} |`), '']
+        : [];
+    const s = report.summary;
+    return [
+        '# Data integrity audit',
+        '',
+        `Snapshot \`${file}\`: ${s.records} records, ${s.references} references.`,
+        '',
+        '| Check | Count |',
+        '|---|---|',
+        `| Dangling references | ${s.dangling} |`,
+        `| Orphaned records | ${s.orphans} |`,
+        `| Duplicate references | ${s.duplicates} |`,
+        `| Type mismatches | ${s.typeMismatches} |`,
+        '',
+        ...table('Dangling references', ['Record', 'Field', 'Missing record'], report.dangling.map(d => [d.source, d.field, `${d.table}:${d.id}`])),
+        ...table('Type mismatches', ['Field', 'Type', 'Target', 'Target type'], report.typeMismatches.map(m => [`${m.table}.${m.field}`, m.type, `${m.target}.id`, m.targetType])),
+        ...table('Duplicate references', ['Record', 'Field', 'Target', 'Times'], report.duplicates.map(d => [d.source, d.field, `${d.table}:${d.id}`, d.count])),
+        ...table('Orphaned records', ['Record', 'Label'], report.orphans.map(o => [o.id, o.label])),
+    ].join('\n');
+}
+
+// Offline commands write to --out, or to stdout so they can be piped
+function writeResult(file, output, what, format) {
+    if (!file) {
+        process.stdout.write(output);
+        return;
+    }
+    fs.writeFileSync(file, output, 'utf-8');
+    console.log(`✓ Wrote ${what} to ${file} (${format})`);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export / import: reviewed XanoScript on disk instead of a live deploy
+// ─────────────────────────────────────────────────────────────────────────────
+
+const sha256 = text => crypto.createHash('sha256').update(text, 'utf-8').digest('hex');
+
+function writeExport(dir, config, tables, access, scripts, datasources) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const endpoints = Object.entries(scripts).map(([name, xs]) => {
+        const file = `${name}.xs`;
+        fs.writeFileSync(path.join(dir, file), xs, 'utf-8');
+        return { name, verb: 'GET', file, sha256: sha256(xs) };
+    });
+
+    const manifest = {
+        generator: 'xano-db-visualizer',
+        generatedAt: new Date().toISOString(),
+        baseUrl: config.baseUrl,
+        workspace: { id: config.workspaceId, name: config.workspaceName },
+        branch: config.branch || undefined,
+        apiGroup: API_GROUP_NAME,
+        tables: tables.map(t => t.name),
+        access: access.mode,
+        datasources: datasources || undefined,
+        hiddenFields: Object.fromEntries(tables.filter(t => t.hidden && t.hidden.length).map(t => [t.name, t.hidden])),
+        endpoints,
+    };
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 4) + '\n', 'utf-8');
+    return manifest;
+}
+
+function readExport(dir) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) throw new Error(`No ${MANIFEST_FILE} in ${dir} — create one with --dry-run`);
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    if (manifest.apiGroup !== API_GROUP_NAME) {
+        throw new Error(`${manifestPath} targets API group "${manifest.apiGroup}", expected "${API_GROUP_NAME}"`);
+    }
+
+    const scripts = {};
+    for (const ep of manifest.endpoints || []) {
+        const xs = fs.readFileSync(path.join(dir, ep.file), 'utf-8');
+        if (sha256(xs) !== ep.sha256) {
+            throw new Error(`${ep.file} does not match the checksum in ${MANIFEST_FILE} — it changed after the export was reviewed`);
         }
-    } catch (e) { /* swallow */ }
-    return null;
+        scripts[ep.name] = xs;
+    }
+    if (!scripts['graph-data'] || !scripts['visualizer']) {
+        throw new Error(`${MANIFEST_FILE} must list both the graph-data and visualizer endpoints`);
+    }
+    return { manifest, scripts };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Status & remove: inspecting and tearing down an earlier deployment
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Why the deployment no longer matches the workspace (empty when it does)
+function driftReasons(found, tables, missingTables = []) {
+    const reasons = [];
+    const missingEndpoints = ENDPOINT_NAMES.filter(name => !found.endpoints[name]);
+    if (missingEndpoints.length) reasons.push(`missing endpoint(s): ${missingEndpoints.join(', ')}`);
+    if (!found.tag) return [...reasons, 'deployed by a setup.mjs without version tags'];
+    if (missingTables.length) reasons.push(`table(s) no longer in the workspace: ${missingTables.join(', ')}`);
+    const keys = tables.map(t => tableKey(t.name));
+    const added = keys.filter(k => !found.tag.tables.includes(k));
+    const dropped = found.tag.tables.filter(k => !keys.includes(k) && !missingTables.includes(k));
+    const current = schemaVersion(tables);
+    if (added.length || dropped.length) {
+        reasons.push(`table selection changed (${[...added.map(k => `+${k}`), ...dropped.map(k => `−${k}`)].join(' ')})`);
+    } else if (current !== found.tag.schema) {
+        reasons.push(`schema changed since the deploy (${found.tag.schema} → ${current})`);
+    }
+    if (found.tag.version !== VERSION) reasons.push(`generated by setup.mjs ${found.tag.version}, this is ${VERSION}`);
+    return reasons;
+}
+
+// update needs something to update; deploy just wants to know what is there
+async function findExistingDeployment(config, settings, command) {
+    const found = await findDeployment(config, settings);
+    if (command === 'update' && (!found || !found.endpoints['graph-data'])) {
+        throw new Error(`Nothing to update in ${config.workspaceName} — run \`node setup.mjs deploy\` first`);
+    }
+    return found;
+}
+
+async function showStatus(config, settings) {
+    console.log('\n─── Deployment Status ───\n');
+
+    const found = await findDeployment(config, settings);
+    if (!found) {
+        console.log(`Nothing deployed: there is no "${API_GROUP_NAME}" API group in ${config.workspaceName}.`);
+        return;
+    }
+
+    console.log(`API group: ${found.group.name} (id: ${found.group.id})`);
+    if (config.branch) console.log(`Branch:    ${config.branch}`);
+    if (found.group.canonical) console.log(`URL:       ${groupUrl(config, found.group.canonical)}/visualizer`);
+    ENDPOINT_NAMES.forEach(name => {
+        const api = found.endpoints[name];
+        console.log(api ? `  ✓ ${name} (id: ${api.id})` : `  ✗ ${name} — not deployed`);
+    });
+    if (found.foreign.length) {
+        console.log(`  · also in the group, not ours: ${found.foreign.map(a => a.name).join(', ')}`);
+    }
+    if (!found.managed) {
+        console.log(`\n⚠ This group was not created by setup.mjs — deploy, update and remove will leave it alone.`);
+        return;
+    }
+
+    let tables = [];
+    let missing = [];
+    if (found.tag) {
+        console.log(`\nVersion:   ${found.tag.version} (schema ${found.tag.schema})`);
+        console.log(`Access:    ${found.tag.access}`);
+        if (found.tag.datasources) console.log(`Data:      ${found.tag.datasources.join(', ')} (opens on ${found.tag.datasources[0]})`);
+        console.log(`Tables:    ${found.tag.tables.join(', ')}`);
+
+        console.log('\nComparing with the current schema...');
+        const byKey = new Map((await listTables(config)).map(t => [tableKey(t.name), t]));
+        missing = found.tag.tables.filter(key => !byKey.has(key));
+        tables = found.tag.tables.filter(key => byKey.has(key)).map(key => byKey.get(key));
+        await readTableSchemas(config, tables);
+    }
+
+    const reasons = driftReasons(found, tables, missing);
+    if (!reasons.length) {
+        console.log('\n✓ Up to date');
+        return;
+    }
+    console.log('\n⚠ Out of date:');
+    reasons.forEach(r => console.log(`    · ${r}`));
+    console.log('\nRun `node setup.mjs update` to regenerate and replace the endpoints.');
+}
+
+async function removeDeployment(config, settings) {
+    console.log('\n─── Remove Visualizer ───\n');
+
+    const { baseUrl, token, workspaceId } = config;
+    const wsPath = `/workspace/${workspaceId}`;
+    const found = await findDeployment(config, settings);
+    if (!found) {
+        console.log(`Nothing to remove: there is no "${API_GROUP_NAME}" API group in ${config.workspaceName}.`);
+        recordDeployment(settings, config, null);
+        return;
+    }
+    if (!found.managed) {
+        throw new Error(`The "${found.group.name}" API group (id: ${found.group.id}) was not created by setup.mjs — refusing to delete anything from it`);
+    }
+
+    // The group only goes when nothing but our endpoints lives in it
+    const keepGroup = found.foreign.length > 0;
+    console.log(`This deletes from ${config.workspaceName}:`);
+    Object.entries(found.endpoints).forEach(([name, api]) => console.log(`    · ${name} endpoint (id: ${api.id})`));
+    if (keepGroup) console.log(`  The API group stays — it also holds ${found.foreign.map(a => a.name).join(', ')}`);
+    else console.log(`    · "${found.group.name}" API group (id: ${found.group.id})`);
+
+    const confirmed = settings.yes || parseBool(await prompt('\nDelete them? (y/N)', 'n'));
+    if (!confirmed) {
+        console.log('\nNothing was deleted.');
+        return;
+    }
+
+    for (const [name, api] of Object.entries(found.endpoints)) {
+        await xanoDelete(baseUrl, token, onBranch(config, `${wsPath}/apigroup/${found.group.id}/api/${api.id}`));
+        console.log(`  ✓ ${name} deleted`);
+    }
+    if (!keepGroup) {
+        await xanoDelete(baseUrl, token, onBranch(config, `${wsPath}/apigroup/${found.group.id}`));
+        console.log(`  ✓ "${found.group.name}" API group deleted`);
+    }
+    recordDeployment(settings, config, null);
+    console.log('\n✓ Visualizer removed');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Local preview: snapshot & serve
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The deployed graph-data URL and the access mode it was deployed with
+// (older, untagged deployments are taken to be public)
+async function locateGraphData(config, settings) {
+    const { baseUrl, token, workspaceId } = config;
+    const found = await findDeployment(config, settings);
+    if (!found || !found.endpoints['graph-data']) {
+        throw new Error(`Nothing deployed in ${config.workspaceName} — run \`node setup.mjs deploy\` first`);
+    }
+    const canonical = found.group.canonical
+        || (await xanoGet(baseUrl, token, onBranch(config, `/workspace/${workspaceId}/apigroup/${found.group.id}`))).canonical;
+    if (!canonical) throw new Error(`Could not determine the URL of the "${found.group.name}" API group`);
+    return { url: `${groupUrl(config, canonical)}/graph-data`, mode: found.tag ? found.tag.access : 'public', datasources: found.tag ? found.tag.datasources : null, tables: found.tag ? found.tag.tables : null };
+}
+
+// The credential graph-data expects, from the same env vars as everything else
+function graphDataHeaders(mode, settings) {
+    if (mode === 'secret') {
+        if (!settings.secret) throw new Error('graph-data was deployed with --access secret — set XANO_VISUALIZER_SECRET');
+        return { 'X-Visualizer-Key': settings.secret };
+    }
+    if (mode === 'user') {
+        if (!settings.authToken) throw new Error('graph-data was deployed with --access user — set XANO_AUTH_TOKEN to a user\'s auth token');
+        return { Authorization: `Bearer ${settings.authToken}` };
+    }
+    return {};
+}
+
+// `snapshot`: every page of every table, read through the deployed graph-data
+// endpoint so the file holds exactly what the visualizer would see
+async function takeSnapshot(config, settings) {
+    console.log('\n─── Snapshot ───\n');
+
+    const { url, mode, datasources } = await locateGraphData(config, settings);
+    const headers = graphDataHeaders(mode, settings);
+    const datasource = settings.datasource;
+    if (datasource && !(datasources || []).includes(datasource)) {
+        throw new Error(datasources ? `graph-data can read ${datasources.join(', ')}, not "${datasource}"` : 'graph-data was deployed without --datasources — it only reads the default data source');
+    }
+    const get = async query => {
+        const target = new URL(url);
+        Object.entries({ ...query, datasource }).forEach(([k, v]) => { if (v !== undefined) target.searchParams.set(k, v); });
+        const res = await request(target.href, { headers, label: `graph-data${target.search}` });
+        if (!res.ok) throw new Error(`GET ${target.pathname}${target.search} → ${res.status}: ${await res.text()}`);
+        return res.json();
+    };
+
+    console.log(`Reading ${url}${datasource ? ` (data source: ${datasource})` : ''}`);
+    const catalog = await get({});
+    // An unpaged graph-data has already sent every record with the catalog
+    const snapshot = { snapshotAt: new Date().toISOString(), source: url, datasource: catalog.datasource, ...snapshotTables(catalog) };
+    for (const [key, count] of Object.entries(catalog.tables || {})) {
+        if (typeof count !== 'number') continue;
+        const records = snapshot.tables[key] = [];
+        for (let page = 1; page;) {
+            const res = await get({ table: key, page, per_page: MAX_PER_PAGE });
+            records.push(...(res.items || []));
+            page = res.next_page;
+        }
+        console.log(`  ✓ ${key}: ${records.length} of ${count} records`);
+    }
+
+    const file = settings.out || SNAPSHOT_FILE;
+    fs.writeFileSync(file, JSON.stringify(snapshot) + '\n', 'utf-8');
+    console.log(`\n✓ Snapshot of ${Object.keys(snapshot.tables).length} tables written to ${file}`);
+}
+
+// Answers a graph-data request from a snapshot the way the deployed query
+// does: the catalog without `table`, otherwise one page of that table
+function snapshotGraphData(snapshot, params) {
+    const table = (params.get('table') || '').trim();
+    if (!table) {
+        const tables = Object.fromEntries(Object.entries(snapshot.tables).map(([k, v]) => [k, v.length]));
+        return { status: 200, body: { tables, schema: snapshot.schema, relationships: snapshot.relationships } };
+    }
+    const records = snapshot.tables[table];
+    if (!records) return { status: 400, body: { code: 'ERROR_CODE_INPUT_ERROR', message: `Unknown table: ${table}` } };
+
+    let rows = records;
+    const ids = params.getAll('ids[]').concat(params.getAll('ids'));
+    if (ids.length) rows = rows.filter(r => ids.includes(String(r.id)));
+    const since = params.get('since');
+    if (since && (snapshot.schema[table] || []).some(f => f.name === 'created_at')) {
+        const from = /^\d+$/.test(since) ? Number(since) : Date.parse(since);
+        if (Number.isNaN(from)) return { status: 400, body: { code: 'ERROR_CODE_INPUT_ERROR', message: `Invalid timestamp: ${since}` } };
+        rows = rows.filter(r => r.created_at != null && (typeof r.created_at === 'number' ? r.created_at : Date.parse(r.created_at)) >= from);
+    }
+    rows = [...rows].sort((a, b) => (a.id > b.id) - (a.id < b.id));
+
+    const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    const perPage = Math.min(MAX_PER_PAGE, Math.max(1, parseInt(params.get('per_page'), 10) || DEFAULT_PER_PAGE));
+    const items = rows.slice((page - 1) * perPage, page * perPage);
+    const nextPage = page * perPage < rows.length ? page + 1 : null;
+    return { status: 200, body: { table, items, page, per_page: perPage, next_page: nextPage, total: rows.length } };
+}
+
+// `serve`: the visualizer page at /visualizer and graph-data at /graph-data,
+// answered from a snapshot file or proxied to the deployed endpoint. Proxied
+// requests carry the credential the page asked for, nothing of ours.
+async function serve(settings) {
+    const port = Number(settings.port || DEFAULT_PORT);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`Invalid --port "${settings.port}"`);
+
+    let snapshot = null;
+    let upstream = null;
+    let mode = 'public';
+    let tableKeys = null;
+    if (settings.snapshot) {
+        snapshot = readSnapshot(settings.snapshot);
+        tableKeys = Object.keys(snapshot.tables);
+        console.log(`Serving ${settings.snapshot} (${tableKeys.length} tables)`);
+    } else {
+        ({ url: upstream, mode, tables: tableKeys } = await locateGraphData(await selectWorkspace(settings), settings));
+        console.log(`\nProxying graph-data to ${upstream} (access: ${mode})`);
+    }
+    const overrides = settings.relationships ? readRelationships(settings.relationships, tableKeys) : null;
+    // The deployment tag does not record the auth table; the settings might
+    const html = buildVisualizerHtml({ mode, authTable: settings.authTable }, overrides);
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const send = (status, body, type = 'application/json') => {
+            res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+            res.end(body);
+            console.log(`  ${req.method} ${req.url} → ${status}`);
+        };
+        try {
+            if (req.method !== 'GET') return send(405, JSON.stringify({ message: 'Only GET is supported' }));
+            if (url.pathname === '/') {
+                res.writeHead(302, { Location: `/visualizer${url.search}` });
+                return res.end();
+            }
+            if (url.pathname === '/visualizer') return send(200, html, 'text/html; charset=utf-8');
+            if (url.pathname !== '/graph-data') return send(404, JSON.stringify({ message: 'Not found' }));
+            if (snapshot) {
+                const { status, body } = snapshotGraphData(snapshot, url.searchParams);
+                return send(status, JSON.stringify(body));
+            }
+            const headers = {};
+            ['x-visualizer-key', 'authorization'].forEach(h => { if (req.headers[h]) headers[h] = req.headers[h]; });
+            // No retries: the page shows the error and the user reloads
+            const upstreamRes = await fetch(upstream + url.search, { headers, signal: AbortSignal.timeout(client.timeoutMs) });
+            send(upstreamRes.status, await upstreamRes.text(), upstreamRes.headers.get('content-type') || 'application/json');
+        } catch (e) {
+            if (e.name === 'TimeoutError') return send(504, JSON.stringify({ message: `graph-data did not answer within ${client.timeoutMs / 1000}s` }));
+            send(502, JSON.stringify({ message: (e.cause && e.cause.message) || e.message }));
+        }
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', e => reject(e.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use — pick another with --port`) : e));
+        server.listen(port, '127.0.0.1', resolve);
+    });
+    console.log(`\nVisualizer: http://localhost:${port}/visualizer`);
+    console.log('Press Ctrl+C to stop.\n');
+    return server;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Main
 // ─────────────────────────────────────────────────────────────────────────────
 
-async function main() {
-    printBanner();
+function printComplete(publicUrl) {
+    console.log('');
+    console.log('╔═══════════════════════════════════════════════════════╗');
+    console.log('║                                                       ║');
+    console.log('║                  Setup Complete! ✓                    ║');
+    console.log('║                                                       ║');
+    console.log('╚═══════════════════════════════════════════════════════╝');
+    console.log('');
+    if (publicUrl) {
+        console.log(`Visualizer URL: ${publicUrl}`);
+        console.log('');
+        console.log('Open that URL in your browser — it just works!');
+    } else {
+        console.log('Check the Xano dashboard for the visualizer endpoint URL.');
+    }
+    console.log('');
+}
+
+function printSecret(access) {
+    if (!access.generated) return;
+    console.log('Visualizer key (generated — store it now, it is not saved anywhere):');
+    console.log(`  ${access.secret}`);
+    console.log('');
+    console.log('Set XANO_VISUALIZER_SECRET to this value on later runs to keep the same key.');
+    console.log('');
+}
 
+function printExported(dir, scripts) {
+    console.log('');
+    console.log('╔═══════════════════════════════════════════════════════╗');
+    console.log('║                                                       ║');
+    console.log('║            Dry Run Complete — Nothing Deployed        ║');
+    console.log('║                                                       ║');
+    console.log('╚═══════════════════════════════════════════════════════╝');
+    console.log('');
+    Object.keys(scripts).forEach(name => console.log(`  · ${path.join(dir, `${name}.xs`)}`));
+    console.log(`  · ${path.join(dir, MANIFEST_FILE)}`);
+    console.log('');
+    console.log('Once the XanoScript has been reviewed, deploy exactly those files with:');
+    console.log(`  node setup.mjs --from ${dir}`);
+    console.log('');
+    console.log(`Or paste each .xs file into a new GET endpoint in a "${API_GROUP_NAME}" API group`);
+    console.log('using the XanoScript editor in the Xano dashboard.');
+    console.log('');
+}
+
+async function main() {
     try {
+        const args = parseArgs(process.argv.slice(2));
+        if (args.help) {
+            printUsage();
+            return;
+        }
+
+        const command = args.command || 'deploy';
+        // Offline: no settings file, no prompts, nothing on stdout but the result
+        if (command === 'export') {
+            exportSnapshot(args);
+            return;
+        }
+        if (command === 'audit') {
+            auditSnapshot(args);
+            return;
+        }
+        if (command === 'deploy' || command === 'update') printBanner();
+        const settings = resolveSettings(args, process.env);
+        configureClient(settings);
+        if (settings.tokenFromStdin) {
+            if (command === 'remove' && !settings.yes) {
+                throw new Error('remove asks for confirmation on stdin — pass --yes together with --api-key-stdin');
+            }
+            settings.token = await readStdin();
+            // stdin is used up, so there is nobody left to answer prompts
+            settings.yes = true;
+        }
+
+        if (command === 'status') {
+            await showStatus(await selectWorkspace(settings), settings);
+            return;
+        }
+        if (command === 'remove') {
+            await removeDeployment(await selectWorkspace(settings), settings);
+            return;
+        }
+        if (command === 'snapshot') {
+            await takeSnapshot(await selectWorkspace(settings), settings);
+            return;
+        }
+        // Keeps running until interrupted
+        if (command === 'serve') {
+            await serve(settings);
+            return;
+        }
+
+        // Reviewed export: skip discovery and deploy the files exactly as written
+        if (settings.fromDir) {
+            const { manifest, scripts } = readExport(settings.fromDir);
+            console.log(`Deploying reviewed export from ${settings.fromDir} (generated ${manifest.generatedAt})`);
+            console.log(`  Tables: ${manifest.tables.join(', ')}\n`);
+            if (settings.workspace == null && manifest.workspace) settings.workspace = String(manifest.workspace.id);
+            if (settings.branch == null && manifest.branch) settings.branch = manifest.branch;
+            if (!settings.baseUrl) settings.baseUrl = manifest.baseUrl;
+
+            const config = await selectWorkspace(settings);
+            const found = await findExistingDeployment(config, settings, command);
+            printComplete(await deploy(config, scripts, settings, found));
+            return;
+        }
+
         // Step 1: Connect
-        const config = await selectWorkspace();
+        const config = await selectWorkspace(settings);
+
+        // update redeploys what is there: same tables and access mode unless
+        // flags, env or the settings file say otherwise
+        const found = await findExistingDeployment(config, settings, command);
+        if (found && found.tag && command === 'update') {
+            if (!settings.tables) settings.tables = found.tag.tables;
+            if (!settings.access) settings.access = found.tag.access;
+            if (!settings.datasources && found.tag.datasources) {
+                settings.datasources = found.tag.datasources;
+                if (!settings.datasource) settings.datasource = found.tag.datasources[0];
+            }
+        }
+        const datasources = await selectDataSources(config, settings);
 
         // Step 2: Discover
-        const tables = await discoverTables(config.baseUrl, config.token, config.workspaceId);
+        const tables = await discoverTables(config, settings);
+
+        // Step 3: Access & privacy
+        const access = await configureAccess(settings, tables);
+
+        const chosen = {
+            ...settings,
+            baseUrl: config.baseUrl,
+            workspace: config.workspaceId,
+            branch: config.branch || undefined,
+            datasources: datasources || undefined,
+            datasource: datasources ? datasources[0] : undefined,
+            tables: tables.map(t => t.name),
+            access: access.mode,
+            authTable: access.authTable,
+        };
+        if (settings.saveConfig) {
+            saveConfigFile(settings.configPath, chosen);
+        } else if (!settings.yes && !settings.configLoaded) {
+            const save = await prompt(`\nSave these settings to ${settings.configPath} for later runs? (y/N)`, 'n');
+            if (parseBool(save)) saveConfigFile(settings.configPath, chosen);
+        }
 
-        // Step 3: Deploy
-        const publicUrl = await deploy(config, tables);
+        if (found && found.managed) {
+            const reasons = driftReasons(found, tables);
+            if (reasons.length) {
+                console.log('\n⚠ The deployed visualizer is out of date:');
+                reasons.forEach(r => console.log(`    · ${r}`));
+            } else {
+                console.log('\n✓ Schema unchanged since the last deploy');
+            }
+        }
 
-        // Done!
-        console.log('');
-        console.log('╔═══════════════════════════════════════════════════════╗');
-        console.log('║                                                       ║');
-        console.log('║                  Setup Complete! ✓                    ║');
-        console.log('║                                                       ║');
-        console.log('╚═══════════════════════════════════════════════════════╝');
-        console.log('');
-        if (publicUrl) {
-            console.log(`Visualizer URL: ${publicUrl}`);
-            console.log('');
-            console.log('Open that URL in your browser — it just works!');
-        } else {
-            console.log('Check the Xano dashboard for the visualizer endpoint URL.');
+        const overrides = settings.relationships ? readRelationships(settings.relationships, tables.map(t => tableKey(t.name))) : null;
+        if (overrides) console.log(`✓ Relationship overrides from ${settings.relationships}`);
+        const scripts = generateScripts(tables, access, datasources, overrides);
+
+        // Dry run: nothing is written to the workspace
+        if (settings.dryRun) {
+            writeExport(settings.outDir, config, tables, access, scripts, datasources);
+            printExported(settings.outDir, scripts);
+            printSecret(access);
+            return;
         }
-        console.log('');
+
+        // Step 4: Deploy
+        printComplete(await deploy(config, scripts, settings, found));
+        printSecret(access);
 
     } catch (e) {
         console.error(`\n✗ Error: ${e.message}`);
@@ -426,4 +2197,10 @@ async function main() {
     }
 }
 
-main();
+// Only run as a command; the tests import the pieces they check
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) main();
+
+export {
+    buildVisualizerHtml, configureClient, generateGraphDataXanoScript, isSensitiveField,
+    loadConfigFile, removeDeployment, serve, snapshotGraphData,
+};
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { loadConfigFile } from '../setup.mjs';
+
+function configFile(t, text) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xviz-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'visualizer.config.json');
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+test('reads a settings file holding an object', t => {
+    const file = configFile(t, '{"workspace": "7"}');
+    assert.deepEqual(loadConfigFile(file, true, true), { workspace: '7' });
+});
+
+test('rejects a settings file that is valid JSON but not an object', t => {
+    for (const text of ['null', '"text"', '42', '[]']) {
+        const file = configFile(t, text);
+        assert.throws(() => loadConfigFile(file, true, true), { message: `${file} must contain a JSON object` }, text);
+    }
+});
+
+test('rejects credentials in the settings file', t => {
+    const file = configFile(t, '{"apiKey": "k"}');
+    assert.throws(() => loadConfigFile(file, true, true), /contains an API key/);
+});
+
+test('a missing settings file is only an error when it was asked for', () => {
+    assert.deepEqual(loadConfigFile('/nonexistent/visualizer.config.json', false, true), {});
+    assert.throws(() => loadConfigFile('/nonexistent/visualizer.config.json', true, true), /Config file not found/);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSensitiveField } from '../setup.mjs';
+
+const hidden = name => isSensitiveField({ name, type: 'text' });
+
+test('hides fields named after a credential', () => {
+    for (const name of ['password', 'passwd', 'password_hash', 'hashed_password', 'secret', 'client_secret', 'token',
+        'refresh_token', 'api_key', 'apikey', 'apiKey', 'private_key', 'hash', 'salt', 'otp', 'otp_code', 'passwordHash', 'AccessToken']) {
+        assert.ok(hidden(name), name);
+    }
+});
+
+test('keeps fields that only contain a credential word inside another word', () => {
+    for (const name of ['footprint', 'hashtags', 'hotpot', 'tokenized_title', 'secretary_id', 'saltwater', 'passenger', 'compass']) {
+        assert.ok(!hidden(name), name);
+    }
+});
+
+test('hides password columns and fields Xano marks sensitive whatever their name', () => {
+    assert.ok(isSensitiveField({ name: 'login', type: 'password' }));
+    assert.ok(isSensitiveField({ name: 'notes', type: 'text', sensitive: true }));
+});
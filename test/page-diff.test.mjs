@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage } from './page.mjs';
+
+const relationships = [{ source: 'order', field: 'user_id', target: 'user', cardinality: 'many-to-one' }];
+const live = {
+    tables: {
+        user: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }, { id: 3, name: 'Cid' }],
+        order: [{ id: 1, user_id: 1, total: 5 }, { id: 2, user_id: 2, total: 12 }],
+    },
+    schema: {},
+    relationships,
+};
+const staging = {
+    tables: {
+        user: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bobby' }, { id: 4, name: 'Dee' }],
+        order: [{ id: 1, user_id: 1, total: 5 }, { id: 2, user_id: 2, total: 12 }, { id: 3, user_id: 4, total: 9 }],
+    },
+    schema: {},
+    relationships,
+};
+const kinds = page => JSON.parse(page.ev('JSON.stringify(Object.fromEntries([...diff].map(([id, d]) => [id, d.kind])))'));
+
+test('diff finds the records only in either data source and the changed ones', async t => {
+    const page = await openPage({ sources: { live, staging }, search: '?compare=staging' });
+    t.after(page.close);
+
+    assert.deepEqual(kinds(page), { 'user:2': 'changed', 'user:3': 'a', 'user:4': 'b', 'order:3': 'b' });
+    // Records only in the compared source are drawn too
+    assert.ok(page.ev('!!nodeById["user:4"] && !!nodeById["order:3"]'));
+    assert.equal(page.window.document.getElementById('diff-btn').textContent, 'Diff · 4');
+
+    page.ev('togglePanel("diff")');
+    const sections = [...page.window.document.querySelectorAll('#inspector .sec')].map(s => s.textContent);
+    assert.deepEqual(sections, ['Only in live (1)', 'Only in staging (2)', 'Changed (1)']);
+    page.ev('setSearch("diff:changed")');
+    assert.equal(page.ev('matches.map(n => n.id).join()'), 'user:2');
+});
+
+test('diff looks records up in the other data source before calling them missing', async t => {
+    // One record per page: live's first user is Ann, staging's is Bob
+    const page = await openPage({
+        sources: {
+            live: { ...live, tables: { user: live.tables.user } },
+            staging: { ...staging, tables: { user: [{ id: 2, name: 'Bob' }, { id: 3, name: 'Cid' }, { id: 4, name: 'Dee' }] } },
+        },
+        search: '?compare=staging&per_page=1',
+    });
+    t.after(page.close);
+
+    assert.deepEqual(kinds(page), { 'user:1': 'a' });
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage, shop } from './page.mjs';
+
+test('the URL hash restores layout, camera, table filter, search and pinned record', async t => {
+    const page = await openPage({ sources: { main: shop }, hash: '#layout=grid&x=10.0&y=-20.0&z=2.000&table=order&q=total%3E10&pin=order%3A2' });
+    t.after(page.close);
+
+    assert.equal(page.ev('layout'), 'grid');
+    assert.equal(page.ev('zoom'), 2);
+    assert.deepEqual(JSON.parse(page.ev('JSON.stringify(screenToWorld(innerWidth / 2, innerHeight / 2))')), { x: 10, y: -20 });
+    assert.equal(page.ev('activeFilter'), 'order');
+    assert.equal(page.window.document.getElementById('search').value, 'total>10');
+    assert.equal(page.ev('matches.map(n => n.id).sort().join(" ")'), 'order:2 order:3');
+    assert.equal(page.ev('pinnedId'), 'order:2');
+    assert.equal(page.window.document.querySelector('#inspector .tt-name').textContent, page.ev('nodeById["order:2"].label'));
+});
+
+test('the hash written for a view reads back to the same view', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    page.ev('setLayout("hierarchy", false); activeFilter = "user"; pin(nodeById["user:2"]); zoom = 1.5; pan.x = 100; pan.y = 50');
+    page.window.document.getElementById('search').value = 'bob';
+    const hash = page.ev('hashState()');
+
+    const again = await openPage({ sources: { main: shop }, hash: '#' + hash });
+    t.after(again.close);
+    assert.equal(again.ev('hashState()'), hash);
+    assert.equal(again.ev('layout'), 'hierarchy');
+    assert.equal(again.ev('pinnedId'), 'user:2');
+});
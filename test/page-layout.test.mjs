@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage, shop } from './page.mjs';
+
+const positions = page => JSON.parse(page.ev('JSON.stringify(Object.fromEntries(nodes.map(n => [n.id, [n.x, n.y]])))'));
+const distance = ([x, y]) => Math.round(Math.hypot(x, y));
+
+test('grid puts every table in a square block, the blocks side by side', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    page.ev('setLayout("grid", false)');
+
+    assert.deepEqual(positions(page), {
+        'user:1': [0, 0], 'user:2': [30, 0], 'user:3': [0, 30],
+        'order:1': [200, 0], 'order:2': [230, 0], 'order:3': [200, 30], 'order:4': [230, 30],
+        'tag:1': [400, 0], 'tag:2': [430, 0],
+    });
+});
+
+test('hierarchy puts a table below the tables it references, in the order of what it references', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    page.ev('setLayout("hierarchy", false)');
+    const p = positions(page);
+
+    assert.ok(['user:1', 'user:2', 'user:3', 'tag:1', 'tag:2'].every(id => p[id][1] === 0));
+    assert.ok(['order:1', 'order:2', 'order:3', 'order:4'].every(id => p[id][1] > 0));
+    // order:3 only references Bob, order:2 references Ann and both tags
+    const row = ['order:1', 'order:2', 'order:3', 'order:4'].sort((a, b) => p[a][0] - p[b][0]);
+    assert.deepEqual(row, ['order:3', 'order:1', 'order:4', 'order:2']);
+});
+
+test('radial puts the pinned record in the middle and one ring per hop around it', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    page.ev('pin(nodeById["order:2"]); setLayout("radial", false)');
+    const p = positions(page);
+
+    assert.deepEqual(p['order:2'], [0, 0]);
+    assert.deepEqual(['user:1', 'tag:1', 'tag:2'].map(id => distance(p[id])), [140, 140, 140]);
+    assert.deepEqual(['order:1', 'order:4'].map(id => distance(p[id])), [280, 280]);
+});
+
+test('dragged records keep their place when the layout changes', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    page.ev('setLayout("grid", false, { "user:1": [500, -500] })');
+
+    assert.deepEqual(positions(page)['user:1'], [500, -500]);
+});
+
+test('the force layout pulls linked records together and leaves fixed ones alone', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    const run = fix => JSON.parse(page.ev(`{
+        const L = createLayout();
+        L.init({ pos: [0, 0, 400, 0], grp: [-1, -1], fix: ${JSON.stringify(fix)}, edges: [0, 1], centers: [], iters: 120, strength: 1 });
+        while (!L.step(10));
+        JSON.stringify([...L.positions()]);
+    }`));
+
+    const [ax, ay, bx, by] = run([0, 0]);
+    assert.ok(Math.hypot(bx - ax, by - ay) < 300);
+    const fixed = run([1, 0]);
+    assert.deepEqual(fixed.slice(0, 2), [0, 0]);
+    assert.ok(fixed[2] < 400);
+});
+
+test('the layout worker posts the same positions as running the layout on the page', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    const [worker, direct] = JSON.parse(page.ev(`{
+        const job = () => ({ pos: new Float32Array([0, 0, 400, 0, 0, 300]), grp: [0, 0, 1], fix: [0, 0, 0], edges: [0, 1, 1, 2], centers: [0, 0, 200, 200], iters: 60, strength: 1 });
+        const posted = [], self = { postMessage: m => posted.push(m) };
+        new Function('self', layoutWorkerSource())(self);
+        self.onmessage({ data: job() });
+        const L = createLayout();
+        L.init(job());
+        while (!L.step(1));
+        JSON.stringify([{ done: posted.at(-1).done, p: [...posted.at(-1).p] }, [...L.positions()]]);
+    }`));
+
+    assert.equal(worker.done, true);
+    assert.deepEqual(worker.p, direct);
+});
+
+test('zoomed out, records are drawn as squares unless they stand out', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    page.ev('setLayout("grid", false); pan.x = innerWidth / 2; pan.y = innerHeight / 2');
+
+    const at = zoom => page.drawCalls(() => page.ev(`zoom = ${zoom}; draw()`));
+    assert.equal(at(1).fillRect, undefined);
+    assert.equal(at(0.2).fillRect, 9);
+    page.ev('pinnedId = "order:2"');
+    assert.equal(at(0.2).fillRect, 8);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage, shop } from './page.mjs';
+
+test('search terms are parsed into words, table, has, orphan and field comparisons', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    const parse = text => JSON.parse(page.ev(`JSON.stringify(parseQuery(${JSON.stringify(text)}))`));
+
+    assert.equal(parse('  '), null);
+    assert.deepEqual(parse('Ann table:order -status:refunded total>=10 has:tag_ids orphan: "big spender"'), [
+        { kind: 'text', neg: false, value: 'ann' },
+        { kind: 'table', neg: false, value: 'order' },
+        { kind: 'field', neg: true, field: 'status', op: ':', value: 'refunded' },
+        { kind: 'field', neg: false, field: 'total', op: '>=', value: '10' },
+        { kind: 'has', neg: false, field: 'tag_ids' },
+        { kind: 'orphan', neg: false },
+        { kind: 'text', neg: false, value: 'big spender' },
+    ]);
+    assert.deepEqual(parse('orphan:no'), [{ kind: 'orphan', neg: true }]);
+});
+
+test('a search highlights the records that match every term', async t => {
+    const page = await openPage({ sources: { main: shop } });
+    t.after(page.close);
+    const matches = text => {
+        page.ev(`setSearch(${JSON.stringify(text)})`);
+        return page.ev('matches.map(n => n.id).sort().join(" ")');
+    };
+
+    assert.equal(matches('table:order total>10'), 'order:2 order:3');
+    assert.equal(matches('table:order -status:paid'), 'order:2');
+    assert.equal(matches('tag_ids:2'), 'order:2 order:4');
+    assert.equal(matches('ann'), 'user:1');
+    assert.equal(matches('orphan:'), 'user:3');
+    assert.equal(page.window.document.getElementById('search-count').textContent, '1 match');
+});
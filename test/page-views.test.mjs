@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openPage, shop, until } from './page.mjs';
+
+const KEY = 'xviz-views:http://localhost:4173';
+
+test('a saved view restores layout, dragged records, camera, filter, search and pinned record', async t => {
+    const page = await openPage({ sources: { main: shop }, prompt: 'refunds' });
+    t.after(page.close);
+    page.ev('setLayout("grid", false, { "order:2": [-300, 150] })');
+    page.ev('activeFilter = "order"; pin(nodeById["order:2"]); zoom = 2; pan.x = 40; pan.y = -60');
+    page.window.document.getElementById('search').value = 'status:refunded';
+    page.ev('setSearch("status:refunded"); saveView()');
+    const stored = page.window.localStorage.getItem(KEY);
+    assert.deepEqual(Object.keys(JSON.parse(stored)), ['refunds']);
+
+    // A fresh page with the same storage
+    const again = await openPage({ sources: { main: shop }, storage: { [KEY]: stored } });
+    t.after(again.close);
+    const select = again.window.document.getElementById('saved-views');
+    assert.deepEqual([...select.options].map(o => o.value), ['', 'refunds']);
+    select.value = 'refunds';
+    select.dispatchEvent(new again.window.Event('change'));
+
+    assert.equal(again.ev('layout'), 'grid');
+    assert.deepEqual(JSON.parse(again.ev('JSON.stringify([nodeById["order:2"].x, nodeById["order:2"].y])')), [-300, 150]);
+    assert.deepEqual(JSON.parse(again.ev('JSON.stringify([zoom, pan.x, pan.y])')), [2, 40, -60]);
+    assert.equal(again.ev('activeFilter'), 'order');
+    assert.equal(again.window.document.getElementById('search').value, 'status:refunded');
+    assert.equal(again.ev('matches.map(n => n.id).join()'), 'order:2');
+    assert.equal(again.ev('pinnedId'), 'order:2');
+    assert.equal(again.ev('hashState()'), page.ev('hashState()'));
+});
+
+test('exported views can be imported into another browser', async t => {
+    const page = await openPage({ sources: { main: shop }, prompt: 'grid' });
+    t.after(page.close);
+    page.ev('setLayout("grid", false); saveView()');
+    const exported = JSON.stringify({ views: page.ev('loadViews()') });
+
+    const again = await openPage({ sources: { main: shop } });
+    t.after(again.close);
+    // jsdom's File has no text(), which is all importViews reads
+    again.ev(`importViews({ name: 'xano-views.json', text: async () => ${JSON.stringify(exported)} })`);
+    await until(() => again.ev('status') === 'imported 1 views');
+
+    assert.deepEqual(Object.keys(JSON.parse(again.window.localStorage.getItem(KEY))), ['grid']);
+    assert.deepEqual([...again.window.document.getElementById('saved-views').options].map(o => o.value), ['', 'grid']);
+});
@@ -0,0 +1,87 @@
+// Opens the visualizer page in jsdom, with graph-data answered from in-memory
+// snapshots ({ tables, schema, relationships }), one per data source. Canvas
+// calls are swallowed; the tests look at the page's state instead.
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { buildVisualizerHtml, snapshotGraphData } from '../setup.mjs';
+
+const noop = () => {};
+
+// Counts the calls made to every method it doesn't implement
+function fakeContext(calls) {
+    const gradient = { addColorStop: noop };
+    const target = { measureText: text => ({ width: String(text).length * 6 }), createRadialGradient: () => gradient };
+    return new Proxy(target, {
+        get: (t, k) => (k in t ? t[k] : () => { calls[k] = (calls[k] || 0) + 1; }),
+        set: (t, k, v) => { t[k] = v; return true; },
+    });
+}
+
+export async function openPage({ sources, hash = '', search = '', storage = {}, overrides = null, prompt = null }) {
+    const names = Object.keys(sources);
+    const errors = [];
+    const calls = {};
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', e => errors.push(e));
+    const dom = new JSDOM(buildVisualizerHtml({ mode: 'public' }, overrides), {
+        url: `http://localhost:4173/visualizer${search}${hash}`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.HTMLCanvasElement.prototype.getContext = () => fakeContext(calls);
+            window.prompt = () => prompt;
+            Object.entries(storage).forEach(([k, v]) => window.localStorage.setItem(k, v));
+            window.fetch = async url => {
+                const params = new URL(url).searchParams;
+                const name = params.get('datasource') || names[0];
+                const { status, body } = snapshotGraphData(sources[name], params);
+                if (names.length > 1 && !params.get('table')) Object.assign(body, { datasources: names, datasource: name });
+                return { ok: status < 400, status, json: async () => body };
+            };
+        },
+    });
+    const { window } = dom;
+    const page = {
+        window,
+        errors,
+        // Runs code in the page's global scope, where its state lives
+        ev: code => window.eval(code),
+        // Canvas calls made by fn, by method name
+        drawCalls(fn) {
+            Object.keys(calls).forEach(k => delete calls[k]);
+            fn();
+            return { ...calls };
+        },
+        close: () => window.close(),
+    };
+    await until(() => errors.length || page.ev('built && !status && !settling && !animTarget'));
+    if (errors.length) throw errors[0];
+    return page;
+}
+
+export async function until(condition, ms = 5000) {
+    const end = Date.now() + ms;
+    while (!condition()) {
+        if (Date.now() > end) throw new Error('timed out waiting for the page');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// A small shop: users, their orders and the tags on those orders
+export const shop = {
+    tables: {
+        user: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }, { id: 3, name: 'Cid' }],
+        order: [
+            { id: 1, user_id: 1, total: 5, status: 'paid', tag_ids: [1] },
+            { id: 2, user_id: 1, total: 12, status: 'refunded', tag_ids: [1, 2] },
+            { id: 3, user_id: 2, total: 40, status: 'paid', tag_ids: [] },
+            { id: 4, user_id: 2, total: 7, status: 'paid', tag_ids: [2] },
+        ],
+        tag: [{ id: 1, label: 'gift' }, { id: 2, label: 'rush' }],
+    },
+    schema: {},
+    relationships: [
+        { source: 'order', field: 'user_id', target: 'user', cardinality: 'many-to-one' },
+        { source: 'order', field: 'tag_ids', target: 'tag', cardinality: 'many-to-many' },
+    ],
+};
@@ -0,0 +1,45 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as http from 'http';
+import { configureClient, removeDeployment } from '../setup.mjs';
+
+// A Meta API with one deployed visualizer whose first endpoint DELETE hangs
+// past the client timeout — after going through — so the retry finds a 404
+function metaApi() {
+    const apis = new Map([[11, { id: 11, name: 'graph-data', description: '' }], [12, { id: 12, name: 'visualizer', description: '' }]]);
+    const group = { id: 5, name: 'Visualizer', description: 'Managed by xano-db-visualizer' };
+    const deletes = [];
+    const held = [];
+    const server = http.createServer((req, res) => {
+        const json = body => res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+        const path = req.url.replace('/api:meta/workspace/1', '');
+        if (req.method === 'GET' && path === '/apigroup') return json([group]);
+        if (req.method === 'GET' && path === '/apigroup/5/api') return json([...apis.values()]);
+        if (req.method === 'DELETE') {
+            deletes.push(path);
+            const api = path.match(/^\/apigroup\/5\/api\/(\d+)$/);
+            if (api && !apis.delete(Number(api[1]))) return res.writeHead(404).end('{"message":"Not found"}');
+            if (api && deletes.length === 1) return held.push(res);
+            return json({});
+        }
+        res.writeHead(500).end();
+    });
+    return { server, deletes, held };
+}
+
+test('remove finishes when a timed-out DELETE went through and its retry gets a 404', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const { server, deletes, held } = metaApi();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        held.forEach(res => res.destroy());
+        server.close();
+    });
+    configureClient({ rate: 6000, timeout: 0.2 });
+
+    const config = { baseUrl: `http://127.0.0.1:${server.address().port}`, token: 't', workspaceId: 1, workspaceName: 'Test' };
+    await removeDeployment(config, { yes: true, deployments: {}, configPath: '/nonexistent/visualizer.config.json' });
+
+    assert.deepEqual(deletes, ['/apigroup/5/api/11', '/apigroup/5/api/11', '/apigroup/5/api/12', '/apigroup/5']);
+});
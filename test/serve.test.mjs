@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as http from 'http';
+import { configureClient, serve } from '../setup.mjs';
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+
+// A workspace with a deployed visualizer whose graph-data never answers
+function xano() {
+    const held = [];
+    const routes = {
+        '/api:meta/workspace': [{ id: 1, name: 'Test' }],
+        '/api:meta/workspace/1/branch': [],
+        '/api:meta/workspace/1/apigroup': [{ id: 5, name: 'Visualizer', canonical: 'abc', description: 'Managed by xano-db-visualizer' }],
+        '/api:meta/workspace/1/apigroup/5/api': [{ id: 11, name: 'graph-data', description: '[xano-db-visualizer 1.0.0 schema=0 access=public tables=user]' }],
+    };
+    const server = http.createServer((req, res) => {
+        const path = req.url.split('?')[0];
+        if (path === '/api:abc/graph-data') return held.push(res);
+        if (!routes[path]) return res.writeHead(404).end();
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(routes[path]));
+    });
+    return { server, held };
+}
+
+test('serve answers 504 when the deployed graph-data does not answer in time', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const { server, held } = xano();
+    const baseUrl = `http://127.0.0.1:${await listen(server)}`;
+    // Any free port for serve itself
+    const probe = http.createServer();
+    const port = await listen(probe);
+    await new Promise(resolve => probe.close(resolve));
+
+    configureClient({ rate: 6000, timeout: 0.2 });
+    const proxy = await serve({ baseUrl, token: 't', workspace: '1', yes: true, port, deployments: {} });
+    t.after(() => {
+        held.forEach(res => res.destroy());
+        server.close();
+        proxy.close();
+    });
+
+    const res = await fetch(`http://127.0.0.1:${port}/graph-data?table=user`, { signal: AbortSignal.timeout(5000) });
+    assert.equal(res.status, 504);
+    assert.match((await res.json()).message, /did not answer within 0\.2s/);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateGraphDataXanoScript } from '../setup.mjs';
+
+const tables = [
+    { name: 'user', schema: [{ name: 'id', type: 'int' }, { name: 'email', type: 'email' }] },
+    { name: 'document', schema: [{ name: 'id', type: 'uuid' }, { name: 'title', type: 'text' }] },
+    { name: 'legacy' },
+];
+
+test('graph-data takes ids as text so tables with text or uuid keys can be looked up', () => {
+    const xs = generateGraphDataXanoScript(tables);
+    assert.match(xs, /^ {4}text\[\] ids\?$/m);
+    assert.match(xs, /where = \$db\.document\.id in\? \$input\.ids$/m);
+});
+
+test('graph-data converts ids to integers for integer keys', () => {
+    const xs = generateGraphDataXanoScript(tables);
+    assert.match(xs, /where = \$db\.user\.id in\? \$ids0$/m);
+    assert.match(xs, /array\.push \$ids0 \{\s+value = \$id\|to_int/);
+    // Without a schema the key is taken to be Xano's default integer id
+    assert.match(xs, /where = \$db\.legacy\.id in\? \$ids2$/m);
+});
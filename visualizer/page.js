@@ -0,0 +1,2929 @@
+// The visualizer page script. setup.mjs inlines it into visualizer/page.html
+// after the graph model it shares with the CLI (PALETTE, detectTables,
+// buildModel, auditGraph, exportGraph, ...) and two constants of the deployment:
+//   OVERRIDES — the relationship overrides file, {} without one
+//   ACCESS    — { mode, authTable } of the graph-data endpoint
+// Indentation, blank lines and whole-line comments are dropped on the way, so
+// every string has to stay on one line.
+
+// Page state. tables, nodes and edges come from buildModel; the rest is what
+// the user is looking at and what has been loaded so far
+let tables = {},
+    nodes = [],
+    edges = [],
+    nodeById = {},
+    groups = {},
+    pan = { x: 0, y: 0 },
+    zoom = 1,
+    dragging = false,
+    dragStart = { x: 0, y: 0 },
+    panStart = { x: 0, y: 0 },
+    hoveredNode = null,
+    activeFilter = null,
+    searchTerm = '',
+    query = null,
+    matches = [],
+    matchId = null,
+    animTarget = null,
+    store = {},
+    tableTotals = {},
+    meta = { schema: {}, relationships: [] },
+    paging = {},
+    stubs = new Set(),
+    requested = new Set(),
+    missing = [],
+    status = '',
+    built = false,
+    hoverSet = new Set(),
+    spatial = new Map(),
+    layoutRun = null,
+    layoutWorkerUrl = null,
+    settling = false,
+    drawQueued = false,
+    view = 'records',
+    viewState = {},
+    cards = {},
+    links = [],
+    hoveredCard = null,
+    pinnedId = null,
+    focus = null,
+    focusSet = null,
+    pathSteps = null,
+    pathFrom = null,
+    nHops = 3,
+    ghosts = [],
+    hoveredGhost = null,
+    checked = new Set(),
+    fullData = false,
+    panel = null,
+    report = null,
+    sources = [],
+    other = {},
+    crossed = new Set(),
+    diff = new Map(),
+    graphData = null,
+    joinKeys = [],
+    collapse = OVERRIDES.collapse || false,
+    layout = 'force',
+    manual = {},
+    dragItem = null,
+    hashReady = false,
+    hashTimer = null;
+
+// Records per page and per id lookup, the spatial grid cell, the zoom below
+// which records are drawn as plain squares (LOD) and card and layout spacing
+const PAGE_SIZE = 250,
+    REF_BATCH = 100,
+    CELL = 40,
+    LOD_ZOOM = 0.35,
+    LOD_EDGES = 5000,
+    CARD_W = 240,
+    CARD_HEAD = 34,
+    CARD_ROW = 18,
+    CARD_GAP = 80,
+    INSPECTOR_W = 380,
+    MAX_LIST_ROWS = 100,
+    GRID_GAP = 30,
+    BLOCK_GAP = 140,
+    RING_GAP = 140,
+    LAYOUTS = ['force', 'hierarchy', 'radial', 'grid'],
+    DIFF_COLORS = { a: '#f87171', b: '#34d399', changed: '#fbbf24' };
+
+const canvas = document.getElementById('canvas'),
+    dpr = window.devicePixelRatio || 1;
+
+let ctx = canvas.getContext('2d');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Building the graph
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Rebuilds nodes and edges from a graph-data response, keeping the positions
+// of records that were already placed. keepView leaves the camera alone
+function buildGraph(data, keepView) {
+    const prev = {};
+    nodes.forEach(n => (prev[n.id] = n));
+    hoveredNode = null;
+    hoverSet = new Set();
+    graphData = data;
+    tables = detectTables(data, OVERRIDES);
+    joinKeys = collapsedJoins(tables, collapse);
+    ({ nodes, edges, missing } = buildModel(tables, joinKeys));
+    const jb = document.getElementById('join-btn');
+    jb.style.display = Object.values(tables).some(t => t.join) ? '' : 'none';
+    jb.classList.toggle('active', joinKeys.length > 0);
+    nodeById = {};
+    groups = {};
+    Object.entries(tables).forEach(([key, cfg]) => {
+        groups[key] = {
+            nodes: [],
+            cx: 0,
+            cy: 0,
+            radius: 0,
+            color: cfg.color,
+            label: cfg.label,
+            count: cfg.count,
+            loaded: cfg.loaded,
+        };
+    });
+    nodes.forEach(n => {
+        const old = prev[n.id],
+            m = manual[n.id];
+        n.x = m ? m[0] : old ? old.x : 0;
+        n.y = m ? m[1] : old ? old.y : 0;
+        n.vx = 0;
+        n.vy = 0;
+        n.radius = 5;
+        n.placed = !!(old || m);
+        nodeById[n.id] = n;
+        groups[n.table].nodes.push(n);
+    });
+    nodes.forEach(n => {
+        n.adj = [];
+    });
+    edges.forEach(e => {
+        e.source.adj.push(e);
+        e.target.adj.push(e);
+    });
+    nodes.forEach(n => {
+        n.radius = 4 + Math.min(n.adj.length * 1.5, 16);
+    });
+    applyFocus();
+    buildGhosts();
+    report = auditGraph(tables, { nodes, edges, missing }, data.schema || {}, isDangling);
+    const problems = report.summary.dangling + report.summary.typeMismatches + report.summary.duplicates;
+    document.getElementById('audit-btn').textContent = 'Audit' + (problems ? ' · ' + problems : '');
+    const tableKeys = clusterKeys();
+    seedClusters(tableKeys);
+    if (layout === 'force') runLayout(tableKeys, keepView);
+    else placeLayout();
+    updateGroups();
+    buildSpatial();
+    buildSchema(data);
+    buildLegend();
+    renderInspector();
+    if (keepView) draw();
+    else zoomToAll();
+    if (!hashReady) {
+        hashReady = true;
+        if (window.location.hash.length > 1) readHash();
+    }
+}
+
+// Centre and radius of each table's cluster, from its records
+function updateGroups() {
+    Object.values(groups).forEach(g => {
+        if (!g.nodes.length) return;
+        let mx = 0,
+            my = 0;
+        g.nodes.forEach(n => {
+            mx += n.x;
+            my += n.y;
+        });
+        g.cx = mx / g.nodes.length;
+        g.cy = my / g.nodes.length;
+        let maxD = 0;
+        g.nodes.forEach(n => {
+            const d = Math.sqrt((n.x - g.cx) ** 2 + (n.y - g.cy) ** 2);
+            if (d > maxD) maxD = d;
+        });
+        g.radius = maxD + 30;
+    });
+}
+
+// Buckets the records into CELL-sized squares for hit testing
+function buildSpatial() {
+    spatial = new Map();
+    nodes.forEach(n => {
+        const k = Math.floor(n.x / CELL) * 100003 + Math.floor(n.y / CELL);
+        let c = spatial.get(k);
+        if (!c) spatial.set(k, (c = []));
+        c.push(n);
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Layouts
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The force layout: repulsion between records of the same table (exact for
+// neighbouring grid cells, by cell centre further out), springs along edges
+// and a pull towards each table's centre. Self-contained so it can run in a
+// worker; startLayout falls back to running it in slices on the page
+function createLayout() {
+    const CELL = 25,
+        MAX_STEP = 30,
+        NEAR = [
+            [1, -1],
+            [1, 0],
+            [1, 1],
+            [0, 1],
+        ],
+        FAR = [];
+    for (let ox = -4; ox <= 4; ox++)
+        for (let oy = -4; oy <= 4; oy++) if (Math.max(Math.abs(ox), Math.abs(oy)) > 1) FAR.push([ox, oy]);
+    let N = 0,
+        x,
+        y,
+        vx,
+        vy,
+        grp,
+        E,
+        C,
+        F,
+        iters = 0,
+        strength = 1,
+        iter = 0;
+    return {
+        init(job) {
+            N = job.grp.length;
+            x = new Float64Array(N);
+            y = new Float64Array(N);
+            vx = new Float64Array(N);
+            vy = new Float64Array(N);
+            for (let i = 0; i < N; i++) {
+                x[i] = job.pos[i * 2];
+                y[i] = job.pos[i * 2 + 1];
+            }
+            grp = job.grp;
+            E = job.edges;
+            C = job.centers;
+            F = job.fix;
+            iters = job.iters;
+            strength = job.strength;
+            iter = 0;
+        },
+        step(k) {
+            for (let s = 0; s < k && iter < iters; s++, iter++) {
+                const alpha = Math.max(0.01, 1 - iter / iters) * strength,
+                    ids = new Map(),
+                    cellOf = new Int32Array(N),
+                    cgx = [],
+                    cgy = [],
+                    cg = [];
+                let nc = 0;
+                for (let i = 0; i < N; i++) {
+                    const gx = Math.floor(x[i] / CELL),
+                        gy = Math.floor(y[i] / CELL),
+                        key = (gx * 100003 + gy) * 1024 + grp[i] + 1;
+                    let c = ids.get(key);
+                    if (c === undefined) {
+                        c = nc++;
+                        ids.set(key, c);
+                        cgx.push(gx);
+                        cgy.push(gy);
+                        cg.push(grp[i] + 1);
+                    }
+                    cellOf[i] = c;
+                }
+                const cnt = new Int32Array(nc),
+                    sx = new Float64Array(nc),
+                    sy = new Float64Array(nc),
+                    start = new Int32Array(nc + 1),
+                    order = new Int32Array(N);
+                for (let i = 0; i < N; i++) {
+                    const c = cellOf[i];
+                    cnt[c]++;
+                    sx[c] += x[i];
+                    sy[c] += y[i];
+                }
+                for (let c = 0; c < nc; c++) start[c + 1] = start[c] + cnt[c];
+                const fill = start.slice(0, nc);
+                for (let i = 0; i < N; i++) order[fill[cellOf[i]]++] = i;
+                const pair = (i, j) => {
+                    const dx = x[j] - x[i],
+                        dy = y[j] - y[i],
+                        d2 = dx * dx + dy * dy;
+                    if (d2 > 10000) return;
+                    const d = Math.sqrt(d2) || 1,
+                        f = (200 / (d * d)) * alpha;
+                    vx[i] -= (dx / d) * f;
+                    vy[i] -= (dy / d) * f;
+                    vx[j] += (dx / d) * f;
+                    vy[j] += (dy / d) * f;
+                };
+                for (let c = 0; c < nc; c++) {
+                    const a0 = start[c],
+                        a1 = start[c + 1];
+                    for (let a = a0; a < a1; a++) for (let b = a + 1; b < a1; b++) pair(order[a], order[b]);
+                    for (const [ox, oy] of NEAR) {
+                        const n = ids.get(((cgx[c] + ox) * 100003 + cgy[c] + oy) * 1024 + cg[c]);
+                        if (n === undefined) continue;
+                        for (let a = a0; a < a1; a++)
+                            for (let b = start[n]; b < start[n + 1]; b++) pair(order[a], order[b]);
+                    }
+                    for (const [ox, oy] of FAR) {
+                        const n = ids.get(((cgx[c] + ox) * 100003 + cgy[c] + oy) * 1024 + cg[c]);
+                        if (n === undefined) continue;
+                        const mx = sx[n] / cnt[n],
+                            my = sy[n] / cnt[n];
+                        for (let a = a0; a < a1; a++) {
+                            const i = order[a],
+                                dx = mx - x[i],
+                                dy = my - y[i],
+                                d2 = dx * dx + dy * dy;
+                            if (d2 > 10000) continue;
+                            const d = Math.max(Math.sqrt(d2), CELL),
+                                f = (200 / (d * d)) * alpha * cnt[n];
+                            vx[i] -= (dx / d) * f;
+                            vy[i] -= (dy / d) * f;
+                        }
+                    }
+                }
+                for (let e = 0; e < E.length; e += 2) {
+                    const a = E[e],
+                        b = E[e + 1],
+                        dx = x[b] - x[a],
+                        dy = y[b] - y[a],
+                        d = Math.sqrt(dx * dx + dy * dy) || 1,
+                        f = (d - 80) * 0.003 * alpha;
+                    vx[a] += (dx / d) * f;
+                    vy[a] += (dy / d) * f;
+                    vx[b] -= (dx / d) * f;
+                    vy[b] -= (dy / d) * f;
+                }
+                for (let i = 0; i < N; i++) {
+                    if (F[i]) {
+                        vx[i] = 0;
+                        vy[i] = 0;
+                        continue;
+                    }
+                    const g = grp[i];
+                    if (g >= 0) {
+                        vx[i] += (C[g * 2] - x[i]) * 0.02 * alpha;
+                        vy[i] += (C[g * 2 + 1] - y[i]) * 0.02 * alpha;
+                    }
+                    vx[i] *= 0.8;
+                    vy[i] *= 0.8;
+                    const sp = Math.sqrt(vx[i] * vx[i] + vy[i] * vy[i]);
+                    if (sp > MAX_STEP) {
+                        vx[i] *= MAX_STEP / sp;
+                        vy[i] *= MAX_STEP / sp;
+                    }
+                    x[i] += vx[i];
+                    y[i] += vy[i];
+                }
+            }
+            return iter >= iters;
+        },
+        positions() {
+            const p = new Float32Array(N * 2);
+            for (let i = 0; i < N; i++) {
+                p[i * 2] = x[i];
+                p[i * 2 + 1] = y[i];
+            }
+            return p;
+        },
+    };
+}
+
+// The worker's side of startLayout: runs each job it is sent to the end,
+// posting the positions at most every 40ms and once more when done
+function layoutWorker() {
+    self.onmessage = e => {
+        const L = createLayout();
+        L.init(e.data);
+        let done = false,
+            last = 0;
+        while (!done) {
+            done = L.step(1);
+            const now = Date.now();
+            if (done || now - last > 40) {
+                last = now;
+                const p = L.positions();
+                self.postMessage({ p, done }, [p.buffer]);
+            }
+        }
+    };
+}
+
+function layoutWorkerSource() {
+    return createLayout + '\n(' + layoutWorker + ')();';
+}
+
+// Runs a layout job, calling onUpdate with the positions as they settle.
+// Returns { cancel }
+function startLayout(job, onUpdate) {
+    let cancelled = false;
+    if (layoutWorkerUrl !== false && typeof Worker !== 'undefined') {
+        try {
+            if (!layoutWorkerUrl)
+                layoutWorkerUrl = URL.createObjectURL(new Blob([layoutWorkerSource()], { type: 'application/javascript' }));
+            const w = new Worker(layoutWorkerUrl);
+            w.onmessage = e => {
+                if (!cancelled) onUpdate(e.data.p, e.data.done);
+                if (e.data.done) w.terminate();
+            };
+            w.postMessage(job);
+            return {
+                cancel() {
+                    cancelled = true;
+                    w.terminate();
+                },
+            };
+        } catch (e) {
+            layoutWorkerUrl = false;
+        }
+    }
+    const L = createLayout();
+    L.init(job);
+    (function pump() {
+        if (cancelled) return;
+        const t0 = Date.now();
+        let done = false;
+        while (!done && Date.now() - t0 < 12) done = L.step(1);
+        onUpdate(L.positions(), done);
+        if (!done) setTimeout(pump, 0);
+    })();
+    return {
+        cancel() {
+            cancelled = true;
+        },
+    };
+}
+
+// Starts the force layout from the current positions. Dragged records stay put
+function runLayout(tableKeys, keepView) {
+    if (layoutRun) layoutRun.cancel();
+    const gi = {};
+    tableKeys.forEach((k, i) => (gi[k] = i));
+    const N = nodes.length,
+        pos = new Float32Array(N * 2),
+        grp = new Int32Array(N),
+        fix = new Uint8Array(N),
+        ix = new Map();
+    nodes.forEach((n, i) => {
+        pos[i * 2] = n.x;
+        pos[i * 2 + 1] = n.y;
+        fix[i] = manual[n.id] ? 1 : 0;
+        grp[i] = n.table in gi ? gi[n.table] : -1;
+        ix.set(n, i);
+    });
+    const E = new Int32Array(edges.length * 2);
+    edges.forEach((e, i) => {
+        E[i * 2] = ix.get(e.source);
+        E[i * 2 + 1] = ix.get(e.target);
+    });
+    const centers = new Float32Array(tableKeys.length * 2);
+    tableKeys.forEach((k, i) => {
+        centers[i * 2] = groups[k].cx;
+        centers[i * 2 + 1] = groups[k].cy;
+    });
+    const layoutNodes = nodes;
+    settling = true;
+    layoutRun = startLayout(
+        { pos, grp, fix, edges: E, centers, iters: keepView ? 60 : 120, strength: keepView ? 0.5 : 1 },
+        (p, done) => {
+            if (nodes !== layoutNodes) return;
+            for (let i = 0; i < N; i++) {
+                if (manual[nodes[i].id]) continue;
+                nodes[i].x = p[i * 2];
+                nodes[i].y = p[i * 2 + 1];
+            }
+            updateGroups();
+            buildSpatial();
+            settling = !done;
+            scheduleDraw();
+        },
+    );
+}
+
+// Tables that get a cluster of their own: join tables drawn as edges don't
+function clusterKeys() {
+    return Object.keys(tables).filter(k => groups[k].count > 0 && !joinKeys.includes(k));
+}
+
+// Places the tables on a circle and their unplaced records in a spiral around
+// each table's spot, which is where the force layout starts from
+function seedClusters(tableKeys) {
+    const W = window.innerWidth,
+        H = window.innerHeight,
+        groupRadius = Math.min(W, H) * 0.55;
+    tableKeys.forEach((k, i) => {
+        const angle = (i / tableKeys.length) * Math.PI * 2 - Math.PI / 2;
+        const gcx = W / 2 + Math.cos(angle) * groupRadius * 0.5;
+        const gcy = H / 2 + Math.sin(angle) * groupRadius * 0.5;
+        groups[k].nodes.forEach((n, j) => {
+            if (n.placed) return;
+            const sa = j * 2.4;
+            const sr = Math.sqrt(j) * 12;
+            n.x = gcx + Math.cos(sa) * sr;
+            n.y = gcy + Math.sin(sa) * sr;
+        });
+        groups[k].cx = gcx;
+        groups[k].cy = gcy;
+    });
+}
+
+// Switches the layout; positions holds the dragged records (id → [x, y])
+function setLayout(l, fit, positions) {
+    layout = l;
+    manual = positions || {};
+    document.getElementById('layout').value = l;
+    nodes.forEach(n => {
+        const m = manual[n.id];
+        n.placed = !!m;
+        if (m) {
+            n.x = m[0];
+            n.y = m[1];
+        }
+    });
+    if (l === 'force') {
+        const keys = clusterKeys();
+        seedClusters(keys);
+        runLayout(keys, false);
+    } else placeLayout();
+    updateGroups();
+    buildSpatial();
+    if (fit) zoomToAll();
+    else draw();
+}
+
+// Places every record with the current static layout, then puts the dragged
+// ones back where they were left
+function placeLayout() {
+    if (layoutRun) {
+        layoutRun.cancel();
+        layoutRun = null;
+    }
+    settling = false;
+    const keys = clusterKeys();
+    if (layout === 'grid') gridLayout(keys);
+    else if (layout === 'hierarchy') hierarchyLayout(keys);
+    else if (layout === 'radial') radialLayout();
+    nodes.forEach(n => {
+        const m = manual[n.id];
+        if (m) {
+            n.x = m[0];
+            n.y = m[1];
+        }
+        n.placed = true;
+    });
+}
+
+// Record order within a table: by id, numerically where possible
+function byRecord(a, b) {
+    const x = a.record.id,
+        y = b.record.id;
+    return typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+}
+
+function placeBlock(list, cols, x0, y0) {
+    list.forEach((n, i) => {
+        n.x = x0 + (i % cols) * GRID_GAP;
+        n.y = y0 + Math.floor(i / cols) * GRID_GAP;
+    });
+}
+
+function block(list, cols) {
+    return { list, cols, w: cols * GRID_GAP, h: Math.ceil(list.length / cols) * GRID_GAP };
+}
+
+// Every table as a square block, the blocks wrapped in rows
+function gridLayout(keys) {
+    const blocks = keys.map(k => {
+            const list = groups[k].nodes.slice().sort(byRecord);
+            return block(list, Math.max(1, Math.ceil(Math.sqrt(list.length))));
+        }),
+        area = blocks.reduce((s, b) => s + (b.w + BLOCK_GAP) * (b.h + BLOCK_GAP), 0),
+        maxW = Math.max(800, Math.sqrt(area) * 1.6);
+    let x = 0,
+        y = 0,
+        rowH = 0;
+    blocks.forEach(b => {
+        if (x > 0 && x + b.w > maxW) {
+            x = 0;
+            y += rowH + BLOCK_GAP;
+            rowH = 0;
+        }
+        placeBlock(b.list, b.cols, x, y);
+        x += b.w + BLOCK_GAP;
+        rowH = Math.max(rowH, b.h);
+    });
+}
+
+// Tables in rows, each below the tables it references. Within a row, records
+// are ordered by where the records they reference sit in the rows above
+function hierarchyLayout(keys) {
+    const rank = {},
+        out = {};
+    keys.forEach(k => {
+        rank[k] = 0;
+        out[k] = new Set();
+    });
+    edges.forEach(e => {
+        const a = e.source.table,
+            b = e.target.table;
+        if (a !== b && out[a] && out[b]) out[a].add(b);
+    });
+    for (let i = 0; i < keys.length; i++) {
+        let moved = false;
+        keys.forEach(a =>
+            out[a].forEach(b => {
+                if (rank[a] <= rank[b] && rank[b] < keys.length) {
+                    rank[a] = rank[b] + 1;
+                    moved = true;
+                }
+            }),
+        );
+        if (!moved) break;
+    }
+    const rows = [],
+        done = new Set();
+    keys.forEach(k => (rows[rank[k]] = rows[rank[k]] || []).push(k));
+    let y = 0;
+    rows.filter(Boolean).forEach(row => {
+        const blocks = row.map(k => {
+                const bary = new Map();
+                groups[k].nodes.forEach(n => {
+                    let sum = 0,
+                        c = 0;
+                    n.adj.forEach(e => {
+                        if (e.source === n && done.has(e.target)) {
+                            sum += e.target.x;
+                            c++;
+                        }
+                    });
+                    bary.set(n, c ? sum / c : Infinity);
+                });
+                const list = groups[k].nodes.slice().sort((a, b) => bary.get(a) - bary.get(b) || byRecord(a, b));
+                return block(list, Math.max(1, Math.ceil(Math.sqrt(list.length * 4))));
+            }),
+            width = blocks.reduce((s, b) => s + b.w, 0) + BLOCK_GAP * (blocks.length - 1);
+        let x = -width / 2;
+        blocks.forEach(b => {
+            placeBlock(b.list, b.cols, x, y);
+            x += b.w + BLOCK_GAP;
+            b.list.forEach(n => done.add(n));
+        });
+        y += Math.max(...blocks.map(b => b.h)) + BLOCK_GAP * 1.5;
+    });
+}
+
+// Rings around the pinned record (or the one with most edges), one ring per
+// hop, each record next to the one it was reached from
+function radialLayout() {
+    if (!nodes.length) return;
+    const center =
+            nodeById[pinnedId] ||
+            (focus && nodeById[focus.from]) ||
+            nodes.reduce((a, b) => (b.adj.length > a.adj.length ? b : a)),
+        seen = new Set([center]),
+        parent = new Map();
+    center.x = 0;
+    center.y = 0;
+    let ring = [center],
+        r = 0;
+    while (ring.length) {
+        let next = [];
+        ring.forEach(n =>
+            n.adj.forEach(e => {
+                const o = e.source === n ? e.target : e.source;
+                if (!seen.has(o)) {
+                    seen.add(o);
+                    parent.set(o, n);
+                    next.push(o);
+                }
+            }),
+        );
+        if (!next.length) {
+            next = nodes.filter(n => !seen.has(n));
+            next.forEach(n => seen.add(n));
+        }
+        if (!next.length) break;
+        const angle = new Map(
+            next.map(n => {
+                const p = parent.get(n);
+                return [n, p ? Math.atan2(p.y, p.x) : Infinity];
+            }),
+        );
+        next.sort(
+            (a, b) => angle.get(a) - angle.get(b) || (a.table < b.table ? -1 : a.table > b.table ? 1 : byRecord(a, b)),
+        );
+        r = Math.max(r + RING_GAP, (next.length * GRID_GAP) / (2 * Math.PI));
+        next.forEach((n, i) => {
+            const a = -Math.PI + ((i + 0.5) / next.length) * Math.PI * 2;
+            n.x = Math.cos(a) * r;
+            n.y = Math.sin(a) * r;
+        });
+        ring = next;
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// URL hash & saved views
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The camera, layout, view, table filter, search and pinned record as URL
+// hash parameters, so a link reopens the same view
+function hashState() {
+    const h = new URLSearchParams(),
+        c = screenToWorld(window.innerWidth / 2, window.innerHeight / 2),
+        q = document.getElementById('search').value.trim();
+    if (layout !== 'force') h.set('layout', layout);
+    if (view !== 'records') h.set('view', view);
+    h.set('x', c.x.toFixed(1));
+    h.set('y', c.y.toFixed(1));
+    h.set('z', zoom.toFixed(3));
+    if (activeFilter) h.set('table', activeFilter);
+    if (q) h.set('q', q);
+    if (pinnedId) h.set('pin', pinnedId);
+    return h.toString();
+}
+
+function writeHash() {
+    if (hashReady) history.replaceState(null, '', '#' + hashState());
+}
+
+// Restores what hashState wrote. Also runs when the hash changes
+function readHash() {
+    const h = new URLSearchParams(window.location.hash.slice(1)),
+        l = h.get('layout') || 'force',
+        v = h.get('view') || 'records',
+        t = h.get('table'),
+        p = h.get('pin'),
+        z = parseFloat(h.get('z')),
+        q = h.get('q') || '',
+        moved = p !== pinnedId;
+    if (moved) {
+        pathFrom = null;
+        pinnedId = p;
+    }
+    if (LAYOUTS.includes(l) && l !== layout) setLayout(l, false, manual);
+    else if (layout === 'radial' && moved) {
+        placeLayout();
+        updateGroups();
+        buildSpatial();
+    }
+    if (v !== view && ['records', 'schema'].includes(v)) setView(v, true);
+    activeFilter = t && tables[t] ? t : null;
+    buildLegend();
+    document.getElementById('search').value = q;
+    setSearch(q);
+    renderInspector();
+    if (z > 0) {
+        animTarget = null;
+        zoom = Math.max(0.08, Math.min(8, z));
+        pan.x = window.innerWidth / 2 - (parseFloat(h.get('x')) || 0) * zoom;
+        pan.y = window.innerHeight / 2 - (parseFloat(h.get('y')) || 0) * zoom;
+    }
+    draw();
+}
+
+// Saved views live in localStorage, per graph-data URL: name → { layout,
+// hash, positions, saved }
+function loadViews() {
+    try {
+        return JSON.parse(localStorage.getItem('xviz-views:' + base)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function storeViews(views, sel) {
+    try {
+        localStorage.setItem('xviz-views:' + base, JSON.stringify(views));
+    } catch (e) {
+        setStatus('could not save views: ' + e.message);
+    }
+    renderViews(sel);
+}
+
+function renderViews(sel) {
+    const names = Object.keys(loadViews()).sort();
+    document.getElementById('saved-views').innerHTML =
+        '<option value="">\u2014</option>' +
+        names
+            .map(k => '<option value="' + esc(k) + '"' + (k === sel ? ' selected' : '') + '>' + esc(k) + '</option>')
+            .join('');
+}
+
+function openSaved(name) {
+    const v = loadViews()[name];
+    if (!v) return;
+    setLayout(LAYOUTS.includes(v.layout) ? v.layout : 'force', false, Object.assign({}, v.positions));
+    history.replaceState(null, '', '#' + (v.hash || ''));
+    readHash();
+}
+
+function saveView() {
+    const name = (prompt('Name this view', document.getElementById('saved-views').value) || '').trim();
+    if (!name) return;
+    const views = loadViews();
+    views[name] = { layout, hash: hashState(), positions: manual, saved: new Date().toISOString() };
+    storeViews(views, name);
+}
+
+// Adds the views of a file written by Export; same names are replaced
+function importViews(file) {
+    file.text()
+        .then(text => {
+            const data = JSON.parse(text),
+                add = data.views || data;
+            if (!add || typeof add !== 'object' || Array.isArray(add)) throw new Error('no views in ' + file.name);
+            const views = loadViews();
+            Object.entries(add).forEach(([k, v]) => {
+                if (v && typeof v === 'object') views[k] = v;
+            });
+            storeViews(views);
+            setStatus('imported ' + Object.keys(add).length + ' views');
+        })
+        .catch(e => setStatus('import failed: ' + e.message));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Legend & camera
+// ─────────────────────────────────────────────────────────────────────────────
+
+function scheduleDraw() {
+    if (drawQueued) return;
+    drawQueued = true;
+    requestAnimationFrame(() => {
+        drawQueued = false;
+        draw();
+    });
+}
+
+function buildLegend() {
+    const legend = document.getElementById('legend');
+    legend.innerHTML = '';
+    Object.entries(tables).forEach(([key, cfg]) => {
+        if (!cfg.count || joinKeys.includes(key)) return;
+        const el = document.createElement('div');
+        el.className = 'legend-item' + (activeFilter ? (activeFilter === key ? ' active' : ' dimmed') : '');
+        el.innerHTML =
+            '<span class="ldot" style="background:' + cfg.color + '"></span>' + cfg.label + ' (' + cfg.count + ')';
+        el.addEventListener('click', () => {
+            if (activeFilter === key) {
+                activeFilter = null;
+                document.querySelectorAll('.legend-item').forEach(l => {
+                    l.classList.remove('dimmed', 'active');
+                });
+            } else {
+                activeFilter = key;
+                document.querySelectorAll('.legend-item').forEach(l => l.classList.add('dimmed'));
+                el.classList.remove('dimmed');
+                el.classList.add('active');
+            }
+            draw();
+        });
+        el.addEventListener('dblclick', () => zoomToGroup(key));
+        legend.appendChild(el);
+    });
+}
+
+// Animates the camera to show the box
+function fitBox(minX, minY, maxX, maxY, maxZ) {
+    const bw = maxX - minX + 100,
+        bh = maxY - minY + 100;
+    const tz = Math.min(maxZ || Infinity, Math.min(window.innerWidth / bw, window.innerHeight / bh) * 0.82);
+    const cx = (minX + maxX) / 2,
+        cy = (minY + maxY) / 2;
+    animTarget = { px: window.innerWidth / 2 - cx * tz, py: window.innerHeight / 2 - cy * tz, z: tz, t: 0 };
+    requestAnimationFrame(animateZoom);
+}
+
+function zoomToGroup(key) {
+    if (view === 'schema') {
+        const c = cards[key];
+        if (c) fitBox(c.x, c.y, c.x + c.w, c.y + c.h, 2);
+        return;
+    }
+    const g = groups[key];
+    if (!g || !g.nodes.length) return;
+    const tz = Math.min(4, Math.min(window.innerWidth, window.innerHeight) / (g.radius * 2.5));
+    animTarget = { px: window.innerWidth / 2 - g.cx * tz, py: window.innerHeight / 2 - g.cy * tz, z: tz, t: 0 };
+    requestAnimationFrame(animateZoom);
+}
+
+function zoomToAll() {
+    if (view === 'schema') {
+        const list = Object.values(cards);
+        if (!list.length) {
+            draw();
+            return;
+        }
+        fitBox(
+            Math.min(...list.map(c => c.x)),
+            Math.min(...list.map(c => c.y)),
+            Math.max(...list.map(c => c.x + c.w)),
+            Math.max(...list.map(c => c.y + c.h)),
+        );
+        return;
+    }
+    if (!nodes.length) {
+        draw();
+        return;
+    }
+    let minX = Infinity,
+        minY = Infinity,
+        maxX = -Infinity,
+        maxY = -Infinity;
+    nodes.forEach(n => {
+        if (n.x < minX) minX = n.x;
+        if (n.y < minY) minY = n.y;
+        if (n.x > maxX) maxX = n.x;
+        if (n.y > maxY) maxY = n.y;
+    });
+    fitBox(minX, minY, maxX, maxY);
+}
+
+function animateZoom() {
+    if (!animTarget) return;
+    animTarget.t += 0.06;
+    const t = Math.min(1, animTarget.t);
+    const ease = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+    pan.x += (animTarget.px - pan.x) * ease * 0.15;
+    pan.y += (animTarget.py - pan.y) * ease * 0.15;
+    zoom += (animTarget.z - zoom) * ease * 0.15;
+    draw();
+    if (t < 1) requestAnimationFrame(animateZoom);
+    else animTarget = null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Search
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Splits a search into terms: words, table:x, has:field, orphan:, diff:x,
+// field:text and field comparisons (= != > < >= <=), each negated with a
+// leading '-'. Returns null for an empty search
+function parseQuery(text) {
+    const terms = (text.match(/-?(?:[\w.]+(?:>=|<=|!=|[:<>=]))?(?:"[^"]*"?|[^\s"]*)/g) || [])
+        .filter(Boolean)
+        .map(raw => {
+            const m = raw.match(/^(-?)(?:([\w.]+)(>=|<=|!=|[:<>=]))?(.*)$/),
+                neg = m[1] === '-',
+                value = m[4].replace(/^"|"$/g, ''),
+                key = m[2] && m[2].toLowerCase();
+            if (!m[2]) return value ? { kind: 'text', neg, value: value.toLowerCase() } : null;
+            if (m[3] === ':' && key === 'table') return { kind: 'table', neg, value: value.toLowerCase() };
+            if (m[3] === ':' && key === 'has') return value ? { kind: 'has', neg, field: value } : null;
+            if (m[3] === ':' && key === 'orphan') return { kind: 'orphan', neg: neg !== /^(false|no)$/i.test(value) };
+            if (m[3] === ':' && key === 'diff') return { kind: 'diff', neg, value: value.toLowerCase() };
+            return { kind: 'field', neg, field: m[2], op: m[3], value };
+        })
+        .filter(Boolean);
+    return terms.length ? terms : null;
+}
+
+// A dotted path into a record: meta.user_id
+function fieldValue(r, path) {
+    return path.split('.').reduce((v, k) => (v != null && typeof v === 'object' ? v[k] : undefined), r);
+}
+
+// Dates and numbers compare as such, anything else as lowercase text; a
+// list matches when any of its elements does
+function compareValue(v, op, q) {
+    if (v == null) return false;
+    if (Array.isArray(v)) return v.some(x => compareValue(x, op, q));
+    if (typeof v === 'object') v = JSON.stringify(v);
+    if (op === ':')
+        return typeof v === 'string'
+            ? v.toLowerCase().includes(q.toLowerCase())
+            : String(v).toLowerCase() === q.toLowerCase();
+    let a, b;
+    if (/^\d{4}-\d{2}(-\d{2})?([T ]|$)/.test(q)) {
+        a = typeof v === 'number' ? v : Date.parse(v);
+        b = Date.parse(q);
+    } else if (q !== '' && !isNaN(q) && v !== '' && !isNaN(v)) {
+        a = +v;
+        b = +q;
+    } else {
+        a = String(v).toLowerCase();
+        b = q.toLowerCase();
+    }
+    if (Number.isNaN(a) || Number.isNaN(b)) return false;
+    if (op === '=') return a === b;
+    if (op === '!=') return a !== b;
+    if (op === '>') return a > b;
+    if (op === '<') return a < b;
+    return op === '>=' ? a >= b : a <= b;
+}
+
+function tableMatch(key, t) {
+    return key.toLowerCase() === t.value || (tables[key] && tables[key].label.toLowerCase() === t.value);
+}
+
+function matchTerm(n, t) {
+    if (t.kind === 'text') return n.label.toLowerCase().includes(t.value) || n.table.toLowerCase().includes(t.value);
+    if (t.kind === 'table') return tableMatch(n.table, t);
+    if (t.kind === 'orphan') return !n.adj.length;
+    if (t.kind === 'diff') {
+        const d = diff.get(n.id);
+        return (
+            !!d &&
+            (!t.value ||
+                (t.value === 'changed'
+                    ? d.kind === 'changed'
+                    : d.kind !== 'changed' && String(d.kind === 'a' ? source : against).toLowerCase() === t.value))
+        );
+    }
+    const v = fieldValue(n.record, t.field);
+    if (t.kind === 'has') return v != null && v !== '' && !(Array.isArray(v) && !v.length);
+    return compareValue(v, t.op, t.value);
+}
+
+function showCount() {
+    const i = matches.findIndex(m => m.id === matchId),
+        n = matches.length;
+    document.getElementById('search-count').textContent = query
+        ? (i >= 0 ? i + 1 + ' / ' : '') + n + (n === 1 ? ' match' : ' matches')
+        : '';
+}
+
+// Records outside the focus, the table filter or the search are faded
+function isVisible(n) {
+    if (focusSet && !focusSet.has(n)) return false;
+    if (activeFilter && n.table !== activeFilter) return false;
+    if (query && !query.every(t => matchTerm(n, t) !== t.neg)) return false;
+    return true;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Ghosts: references to records that are not loaded
+// ─────────────────────────────────────────────────────────────────────────────
+
+// A reference only counts as dangling once its record was looked up and not
+// found, or when the whole graph came in one response
+function isDangling(m) {
+    return fullData || checked.has(m.table + ':' + m.id);
+}
+
+// One ghost per missing record, next to the first record that references it
+function buildGhosts() {
+    const by = new Map();
+    hoveredGhost = null;
+    missing.forEach(m => {
+        const k = m.table + ':' + m.id,
+            src = nodeById[m.src];
+        if (!src || !isDangling(m)) return;
+        let g = by.get(k);
+        if (!g)
+            by.set(
+                k,
+                (g = {
+                    id: k,
+                    table: m.table,
+                    ref: m.id,
+                    color: tables[m.table] ? tables[m.table].color : '#f87171',
+                    anchor: src,
+                    angle: by.size * 2.4,
+                    refs: [],
+                    x: 0,
+                    y: 0,
+                }),
+            );
+        g.refs.push({ src, fk: m.fk });
+    });
+    ghosts = [...by.values()];
+}
+
+function getGhostAt(mx, my) {
+    const w = screenToWorld(mx, my);
+    return ghosts.find(g => Math.hypot(w.x - g.x, w.y - g.y) < 8) || null;
+}
+
+function drawGhosts(vp, vp2, showLabels) {
+    ctx.setLineDash([3 / zoom, 3 / zoom]);
+    ghosts.forEach(g => {
+        const a = g.anchor,
+            d = a.radius + 24;
+        g.x = a.x + Math.cos(g.angle) * d;
+        g.y = a.y + Math.sin(g.angle) * d;
+        if (g.x < vp.x - 60 || g.x > vp2.x + 60 || g.y < vp.y - 60 || g.y > vp2.y + 60) return;
+        const hov = g === hoveredGhost;
+        ctx.globalAlpha = g.refs.some(r => r.src.vis) ? (hov ? 1 : 0.8) : 0.05;
+        ctx.lineWidth = (hov ? 1.5 : 1) / zoom;
+        ctx.strokeStyle = '#f87171';
+        ctx.beginPath();
+        g.refs.forEach(r => {
+            ctx.moveTo(r.src.x, r.src.y);
+            ctx.lineTo(g.x, g.y);
+        });
+        ctx.stroke();
+        ctx.strokeStyle = g.color;
+        ctx.beginPath();
+        ctx.arc(g.x, g.y, 5, 0, Math.PI * 2);
+        ctx.fillStyle = g.color + '1f';
+        ctx.fill();
+        ctx.stroke();
+        if (showLabels || hov) {
+            ctx.font = '600 8px Inter';
+            ctx.fillStyle = g.color;
+            ctx.textAlign = 'center';
+            ctx.fillText(prettifyName(g.table) + ' #' + g.ref, g.x, g.y - 9);
+        }
+    });
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Audit & diff panels
+// ─────────────────────────────────────────────────────────────────────────────
+
+// A titled list of at most MAX_LIST_ROWS rows, or nothing when it is empty
+function auditSection(title, list, fmt) {
+    return list.length
+        ? '<div class="sec">' +
+              title +
+              ' (' +
+              list.length +
+              ')</div>' +
+              list.slice(0, MAX_LIST_ROWS).map(fmt).join('') +
+              (list.length > MAX_LIST_ROWS
+                  ? '<div class="note">+ ' + (list.length - MAX_LIST_ROWS) + ' more</div>'
+                  : '')
+        : '';
+}
+
+// The diff panel: records only in either data source, and changed ones
+function renderDiff(box) {
+    const scroll = box.scrollTop,
+        list = kind =>
+            [...diff]
+                .filter(([, d]) => d.kind === kind)
+                .map(([id]) => nodeById[id])
+                .filter(Boolean),
+        row = n =>
+            '<div class="row">' +
+            nodeLink(n, n.label) +
+            '<span class="via">' +
+            esc(tables[n.table].label) +
+            '</span></div>';
+    let html =
+        '<button class="close" data-act="close-panel" title="Close (Esc)">×</button><div class="tt-type" style="color:#fbbf24">Diff</div><div class="tt-name">' +
+        esc(source) +
+        ' \u2194 ' +
+        esc(against) +
+        '</div>';
+    if (Object.values(paging).some(p => p.next))
+        html += '<div class="note">Compares the records loaded so far; load more pages to compare the rest.</div>';
+    if (!diff.size) html += '<div class="note">The loaded records are the same in both data sources.</div>';
+    html += auditSection('Only in ' + esc(source), list('a'), row);
+    html += auditSection('Only in ' + esc(against), list('b'), row);
+    html += auditSection('Changed', list('changed'), row);
+    box.innerHTML = html;
+    box.style.display = 'block';
+    box.scrollTop = scroll;
+}
+
+function renderAudit(box) {
+    const s = report.summary,
+        problems = s.dangling + s.typeMismatches + s.duplicates,
+        scroll = box.scrollTop,
+        rec = id => (nodeById[id] ? nodeLink(nodeById[id], nodeById[id].label) : esc(id)),
+        row = (a, b) => '<div class="row">' + a + '<span class="via">' + b + '</span></div>';
+    let html =
+        '<button class="close" data-act="close-panel" title="Close (Esc)">×</button><div class="tt-type" style="color:#f87171">Audit</div><div class="tt-name">' +
+        (problems ? problems + ' problem' + (problems > 1 ? 's' : '') : 'No broken references') +
+        '</div>';
+    if (!fullData && Object.values(tables).some(t => t.loaded < t.count))
+        html +=
+            '<div class="note">Covers the ' +
+            s.records +
+            ' records loaded so far. References are only reported as dangling once the record they point to was looked up and not found.</div>';
+    html += auditSection('Dangling references', report.dangling, d =>
+        row(rec(d.source), '.' + esc(d.field) + ' → missing ' + esc(prettifyName(d.table)) + ' #' + esc(d.id)),
+    );
+    html += auditSection('Type mismatches', report.typeMismatches, m =>
+        row(esc(m.table + '.' + m.field + ' ' + m.type), '→ ' + esc(m.target + '.id ' + m.targetType)),
+    );
+    html += auditSection('Duplicate references', report.duplicates, d =>
+        row(
+            rec(d.source),
+            '.' + esc(d.field) + ' lists ' + esc(prettifyName(d.table)) + ' #' + esc(d.id) + ' ×' + d.count,
+        ),
+    );
+    html += auditSection('Orphaned records', report.orphans, o => row(rec(o.id), esc(prettifyName(o.table))));
+    box.innerHTML = html;
+    box.style.display = 'block';
+    box.scrollTop = scroll;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Drawing
+// ─────────────────────────────────────────────────────────────────────────────
+
+// An edge with an arrowhead halfway
+function drawLink(e, style, lw) {
+    ctx.beginPath();
+    ctx.moveTo(e.source.x, e.source.y);
+    ctx.lineTo(e.target.x, e.target.y);
+    ctx.strokeStyle = style;
+    ctx.lineWidth = lw / zoom;
+    ctx.stroke();
+    const angle = Math.atan2(e.target.y - e.source.y, e.target.x - e.source.x);
+    const mx = (e.source.x + e.target.x) / 2,
+        my = (e.source.y + e.target.y) / 2,
+        as = (4 + lw) / zoom;
+    ctx.beginPath();
+    ctx.moveTo(mx, my);
+    ctx.lineTo(mx - as * Math.cos(angle - 0.4), my - as * Math.sin(angle - 0.4));
+    ctx.moveTo(mx, my);
+    ctx.lineTo(mx - as * Math.cos(angle + 0.4), my - as * Math.sin(angle + 0.4));
+    ctx.stroke();
+}
+
+function screenToWorld(sx, sy) {
+    return { x: (sx - pan.x) / zoom, y: (sy - pan.y) / zoom };
+}
+
+// Draws the current view. Zoomed out below LOD_ZOOM, records and edges are
+// drawn in less detail (see drawEdges and drawRecords)
+function draw() {
+    clearTimeout(hashTimer);
+    hashTimer = setTimeout(writeHash, 300);
+    const w = canvas.width / dpr,
+        h = canvas.height / dpr;
+    ctx.clearRect(0, 0, w, h);
+    ctx.save();
+    ctx.translate(pan.x, pan.y);
+    ctx.scale(zoom, zoom);
+    const vp = screenToWorld(0, 0),
+        vp2 = screenToWorld(w, h),
+        lod = zoom < LOD_ZOOM;
+    nodes.forEach(n => {
+        n.vis = isVisible(n);
+    });
+    matches = query ? nodes.filter(n => n.vis) : [];
+    showCount();
+    drawGrid(vp, vp2);
+    if (view === 'schema') {
+        drawSchema(vp, vp2);
+        ctx.restore();
+        document.getElementById('stats').textContent =
+            Object.keys(cards).length +
+            ' tables · ' +
+            Object.values(cards).reduce((s, c) => s + c.fields.length, 0) +
+            ' fields · ' +
+            links.length +
+            ' relationships · zoom ' +
+            zoom.toFixed(2) +
+            'x' +
+            (status ? ' · ' + status : '');
+        return;
+    }
+    drawGroups();
+    drawEdges(vp, vp2, lod);
+    const showLabels = zoom > 0.6;
+    drawGhosts(vp, vp2, showLabels);
+    drawRecords(vp, vp2, lod, showLabels);
+    ctx.restore();
+    const totalTables = Object.keys(tables).filter(k => tables[k].count > 0).length;
+    document.getElementById('stats').textContent =
+        totalTables +
+        ' tables · ' +
+        nodes.length +
+        ' records · ' +
+        edges.length +
+        ' relationships · zoom ' +
+        zoom.toFixed(2) +
+        'x' +
+        (status ? ' · ' + status : '') +
+        (settling ? ' · settling layout\u2026' : '');
+}
+
+// The faint background grid, once zoomed in far enough to see it
+function drawGrid(vp, vp2) {
+    if (zoom <= 0.3) return;
+    ctx.strokeStyle = 'rgba(255,255,255,' + Math.min(0.03, 0.01 * zoom) + ')';
+    ctx.lineWidth = 0.5 / zoom;
+    const step = 80;
+    const sx = Math.floor(vp.x / step) * step,
+        ex = Math.ceil(vp2.x / step) * step;
+    const sy = Math.floor(vp.y / step) * step,
+        ey = Math.ceil(vp2.y / step) * step;
+    for (let x = sx; x <= ex; x += step) {
+        ctx.beginPath();
+        ctx.moveTo(x, sy);
+        ctx.lineTo(x, ey);
+        ctx.stroke();
+    }
+    for (let y = sy; y <= ey; y += step) {
+        ctx.beginPath();
+        ctx.moveTo(sx, y);
+        ctx.lineTo(ex, y);
+        ctx.stroke();
+    }
+}
+
+// A dashed circle, a glow and a label per table
+function drawGroups() {
+    Object.entries(groups).forEach(([key, g]) => {
+        if (!g.nodes.length) return;
+        const dimmed = activeFilter && activeFilter !== key;
+        const grad = ctx.createRadialGradient(g.cx, g.cy, 0, g.cx, g.cy, g.radius * 1.3);
+        grad.addColorStop(0, g.color + (dimmed ? '05' : '12'));
+        grad.addColorStop(0.7, g.color + (dimmed ? '03' : '08'));
+        grad.addColorStop(1, 'transparent');
+        ctx.fillStyle = grad;
+        ctx.beginPath();
+        ctx.arc(g.cx, g.cy, g.radius * 1.3, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(g.cx, g.cy, g.radius, 0, Math.PI * 2);
+        ctx.strokeStyle = g.color + (dimmed ? '10' : '25');
+        ctx.lineWidth = 1.5 / zoom;
+        ctx.setLineDash([4 / zoom, 4 / zoom]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        const fs = Math.max(10, Math.min(18, 14 / zoom));
+        ctx.font = '700 ' + fs + 'px Inter';
+        ctx.fillStyle = g.color + (dimmed ? '40' : 'cc');
+        ctx.textAlign = 'center';
+        ctx.fillText(
+            g.label + ' (' + (g.loaded < g.count ? g.loaded + '/' : '') + g.count + ')',
+            g.cx,
+            g.cy - g.radius - 8 / zoom,
+        );
+        const pg = paging[key];
+        if (pg && pg.next) {
+            ctx.font = '600 ' + fs * 0.75 + 'px Inter';
+            ctx.fillStyle = g.color + (pg.busy ? '66' : 'aa');
+            ctx.fillText(pg.busy ? 'loading\u2026' : '+ load more', g.cx, g.cy + g.radius + fs);
+        }
+    });
+}
+
+// Edges between visible records, batched into one stroke per style. At LOD
+// zoom, edges within a table are dropped once there are more than LOD_EDGES
+function drawEdges(vp, vp2, lod) {
+    const buckets = new Map(),
+        hlEdges = [];
+    edges.forEach(e => {
+        const a = e.source,
+            b = e.target;
+        if (!a.vis && !b.vis) return;
+        if (
+            Math.max(a.x, b.x) < vp.x ||
+            Math.min(a.x, b.x) > vp2.x ||
+            Math.max(a.y, b.y) < vp.y ||
+            Math.min(a.y, b.y) > vp2.y
+        )
+            return;
+        if (hoveredNode && (a === hoveredNode || b === hoveredNode)) {
+            hlEdges.push(e);
+            return;
+        }
+        const both = a.vis && b.vis;
+        let style, lw;
+        if (a.table === b.table) {
+            if (lod && edges.length > LOD_EDGES) return;
+            style = 'rgba(255,255,255,' + (both ? 0.06 : 0.02) + ')';
+            lw = 0.5;
+        } else {
+            style = a.color + (both ? '30' : '10');
+            lw = 1;
+        }
+        const key = style + lw;
+        let bk = buckets.get(key);
+        if (!bk) buckets.set(key, (bk = { style, lw, list: [] }));
+        bk.list.push(e);
+    });
+    buckets.forEach(bk => {
+        ctx.beginPath();
+        bk.list.forEach(e => {
+            ctx.moveTo(e.source.x, e.source.y);
+            ctx.lineTo(e.target.x, e.target.y);
+        });
+        ctx.strokeStyle = bk.style;
+        ctx.lineWidth = bk.lw / zoom;
+        ctx.stroke();
+    });
+    hlEdges.forEach(e => drawLink(e, 'rgba(167,139,250,0.7)', 2));
+    if (pathSteps) pathSteps.forEach(e => drawLink(e, '#fbbf24', 3));
+}
+
+// At LOD zoom a record is a plain square unless it is hovered, connected to
+// the hovered one, marked, matched or part of the diff
+function drawRecords(vp, vp2, lod, showLabels) {
+    const showDetails = zoom > 1.5;
+    nodes.forEach(n => {
+        const vis = n.vis,
+            r = n.radius;
+        if (n.x + r < vp.x || n.x - r > vp2.x || n.y + r < vp.y || n.y - r > vp2.y) return;
+        const isHov = n === hoveredNode;
+        const connected = hoveredNode && hoverSet.has(n);
+        const marked = n.id === pinnedId || n.id === matchId || (pathSteps && focusSet.has(n)),
+            hit = query && vis,
+            dk = diff.size ? diff.get(n.id) : null;
+        ctx.globalAlpha = vis ? (isHov ? 1 : hoveredNode ? (connected ? 0.9 : 0.08) : 0.85) : 0.03;
+        if (lod && !isHov && !connected && !marked && !hit && !dk) {
+            ctx.fillStyle = n.color + '77';
+            ctx.fillRect(n.x - r, n.y - r, r * 2, r * 2);
+            ctx.globalAlpha = 1;
+            return;
+        }
+        if (isHov || connected) {
+            const g2 = ctx.createRadialGradient(n.x, n.y, 0, n.x, n.y, r * 3);
+            g2.addColorStop(0, n.color + '30');
+            g2.addColorStop(1, 'transparent');
+            ctx.fillStyle = g2;
+            ctx.beginPath();
+            ctx.arc(n.x, n.y, r * 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.beginPath();
+        ctx.arc(n.x, n.y, r, 0, Math.PI * 2);
+        ctx.fillStyle = n.color + (isHov ? 'ee' : '77');
+        ctx.fill();
+        ctx.strokeStyle = n.color + (isHov ? 'ff' : '44');
+        ctx.lineWidth = (isHov ? 2 : 0.5) / zoom;
+        ctx.stroke();
+        if (marked || hit) {
+            ctx.beginPath();
+            ctx.arc(n.x, n.y, r + (marked ? 4 : 2.5) / zoom, 0, Math.PI * 2);
+            ctx.strokeStyle = !marked ? n.color : n.id === pinnedId || n.id === matchId ? '#fff' : '#fbbf24';
+            ctx.lineWidth = (marked ? 1.5 : 1) / zoom;
+            ctx.stroke();
+        }
+        if (dk) {
+            ctx.beginPath();
+            ctx.arc(n.x, n.y, r + (marked ? 7 : 3.5) / zoom, 0, Math.PI * 2);
+            ctx.strokeStyle = DIFF_COLORS[dk.kind];
+            ctx.lineWidth = 2 / zoom;
+            ctx.stroke();
+        }
+        if (marked || (showLabels && (isHov || connected || r > 10 || showDetails))) {
+            ctx.font = (isHov || marked ? '600' : '400') + ' 9px Inter';
+            ctx.fillStyle = isHov || marked ? '#fff' : connected ? '#ddd' : '#888';
+            ctx.textAlign = 'center';
+            ctx.fillText(n.label, n.x, n.y - r - 3);
+        }
+        ctx.globalAlpha = 1;
+    });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Schema view
+// ─────────────────────────────────────────────────────────────────────────────
+
+// One card per table with its fields, and a link per reference field
+function buildSchema(data) {
+    const schema = data.schema || {},
+        rels = data.relationships || [],
+        src = data.tables && !Array.isArray(data.tables) ? data.tables : data;
+    const keys = [...new Set([...Object.keys(src).filter(k => Array.isArray(src[k])), ...Object.keys(schema)])];
+    let extra = Object.keys(tables).length;
+    cards = {};
+    links = [];
+    hoveredCard = null;
+    keys.forEach(key => {
+        const cfg = tables[key],
+            sample = (src[key] || [])[0] || {};
+        const fields = schema[key]
+            ? schema[key].map(f => ({ name: f.name, type: f.type || '?' }))
+            : Object.keys(sample).map(f => {
+                  const v = sample[f];
+                  return { name: f, type: v == null ? '?' : Array.isArray(v) ? 'array' : typeof v };
+              });
+        cards[key] = {
+            key,
+            label: prettifyName(key),
+            color: cfg ? cfg.color : PALETTE[extra++ % PALETTE.length],
+            count: cfg ? cfg.count : tableTotals[key] || 0,
+            fields,
+            fk: {},
+            links: [],
+            x: 0,
+            y: 0,
+            w: CARD_W,
+            h: CARD_HEAD + fields.length * CARD_ROW + 10,
+        };
+    });
+    const link = (source, field, target, cardinality, label) => {
+        const a = cards[source],
+            b = cards[target];
+        if (!a || !b || a.links.some(l => l.source === a && l.field === field && l.target === b)) return;
+        a.fk[field] = a.fk[field] || b;
+        let row = a.fields.findIndex(f => f.name === field);
+        if (row < 0) {
+            row = a.fields.push({ name: field, type: '?' }) - 1;
+            a.h += CARD_ROW;
+        }
+        const l = {
+            source: a,
+            target: b,
+            field,
+            label: label || field,
+            cardinality: cardinality || 'many-to-one',
+            row,
+        };
+        links.push(l);
+        a.links.push(l);
+        if (b !== a) b.links.push(l);
+    };
+    rels.forEach(r => {
+        if (!tables[r.source]) link(r.source, r.field, r.target, r.cardinality);
+    });
+    Object.entries(tables).forEach(([key, cfg]) =>
+        Object.entries(cfg.refs).forEach(([f, r]) =>
+            (r.types ? [...new Set(Object.values(r.types))] : [r.target]).forEach(t =>
+                link(key, f, t, r.kind, r.label),
+            ),
+        ),
+    );
+    const list = Object.values(cards),
+        cols = Math.max(1, Math.ceil(Math.sqrt(list.length * 1.6)));
+    let y = 0;
+    for (let i = 0; i < list.length; i += cols) {
+        const row = list.slice(i, i + cols);
+        row.forEach((c, j) => {
+            c.x = j * (CARD_W + CARD_GAP * 2);
+            c.y = y;
+        });
+        y += Math.max(...row.map(c => c.h)) + CARD_GAP;
+    }
+}
+
+// Bezier from the field's row to the target card's header
+function linkPath(l) {
+    const a = l.source,
+        b = l.target,
+        y1 = a.y + CARD_HEAD + (l.row + 0.5) * CARD_ROW,
+        y2 = b.y + CARD_HEAD / 2;
+    if (a === b || a.x === b.x) {
+        const x = a.x + a.w,
+            bulge = a === b ? 50 : 60 + Math.abs(y2 - y1) * 0.15;
+        return { x1: x, y1, c1: x + bulge, c2: x + bulge, x2: x, y2 };
+    }
+    const right = b.x > a.x,
+        x1 = right ? a.x + a.w : a.x,
+        x2 = right ? b.x : b.x + b.w,
+        dx = Math.max(40, Math.abs(x2 - x1) / 2) * (right ? 1 : -1);
+    return { x1, y1, c1: x1 + dx, c2: x2 - dx, x2, y2 };
+}
+
+function drawSchema(vp, vp2) {
+    const hov = hoveredCard,
+        detail = zoom * CARD_ROW > 7;
+    Object.values(cards).forEach(c => {
+        c.vis =
+            !(activeFilter && c.key !== activeFilter) &&
+            (!query || query.every(t => t.kind !== 'table' || tableMatch(c.key, t) !== t.neg)) &&
+            (!searchTerm ||
+                c.key.toLowerCase().includes(searchTerm) ||
+                c.fields.some(f => f.name.toLowerCase().includes(searchTerm)));
+    });
+    ctx.lineCap = 'round';
+    links.forEach(l => {
+        const p = linkPath(l),
+            on = hov && (l.source === hov || l.target === hov),
+            alpha = l.source.vis && l.target.vis ? (hov ? (on ? 1 : 0.1) : 0.6) : 0.08;
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = l.source.color;
+        ctx.lineWidth = on ? 2.2 : 1.4;
+        ctx.setLineDash(l.cardinality === 'many-to-many' ? [6, 4] : l.cardinality === 'polymorphic' ? [2, 4] : []);
+        ctx.beginPath();
+        ctx.moveTo(p.x1, p.y1);
+        ctx.bezierCurveTo(p.c1, p.y1, p.c2, p.y2, p.x2, p.y2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        const dir = p.x2 > p.c2 ? 1 : -1;
+        ctx.beginPath();
+        ctx.moveTo(p.x2, p.y2);
+        ctx.lineTo(p.x2 - 8 * dir, p.y2 - 4);
+        ctx.lineTo(p.x2 - 8 * dir, p.y2 + 4);
+        ctx.closePath();
+        ctx.fillStyle = l.source.color;
+        ctx.fill();
+        if (detail) {
+            const mx = (p.x1 + 3 * p.c1 + 3 * p.c2 + p.x2) / 8,
+                my = (p.y1 + p.y2) / 2,
+                text = l.label + ' · ' + l.cardinality;
+            ctx.font = '500 10px JetBrains Mono';
+            const tw = ctx.measureText(text).width + 10;
+            ctx.fillStyle = 'rgba(6,6,11,0.9)';
+            ctx.fillRect(mx - tw / 2, my - 8, tw, 16);
+            ctx.fillStyle = on ? '#fff' : '#999';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(text, mx, my);
+        }
+    });
+    ctx.globalAlpha = 1;
+    Object.values(cards).forEach(c => {
+        if (c.x + c.w < vp.x || c.x > vp2.x || c.y + c.h < vp.y || c.y > vp2.y) return;
+        const on = c === hov || (hov && hov.links.some(l => l.source === c || l.target === c));
+        ctx.globalAlpha = c.vis ? (hov && !on ? 0.35 : 1) : 0.15;
+        ctx.fillStyle = 'rgba(14,14,24,0.96)';
+        ctx.fillRect(c.x, c.y, c.w, c.h);
+        ctx.fillStyle = c.color + (c === hov ? '40' : '22');
+        ctx.fillRect(c.x, c.y, c.w, CARD_HEAD);
+        ctx.strokeStyle = c.color + (c === hov ? 'ee' : '66');
+        ctx.lineWidth = c === hov ? 2 : 1;
+        ctx.strokeRect(c.x, c.y, c.w, c.h);
+        ctx.textBaseline = 'middle';
+        ctx.font = '700 13px Inter';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(c.label, c.x + 12, c.y + CARD_HEAD / 2);
+        ctx.font = '500 10px JetBrains Mono';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#666';
+        ctx.fillText(c.count + ' rows', c.x + c.w - 10, c.y + CARD_HEAD / 2);
+        if (detail)
+            c.fields.forEach((f, i) => {
+                const fy = c.y + CARD_HEAD + (i + 0.5) * CARD_ROW + 4,
+                    ref = c.fk[f.name],
+                    hit = searchTerm && f.name.toLowerCase().includes(searchTerm);
+                ctx.textAlign = 'left';
+                ctx.fillStyle = ref ? ref.color : hit ? '#fff' : '#bbb';
+                ctx.font = (ref || hit ? '600' : '400') + ' 11px JetBrains Mono';
+                ctx.fillText((ref ? '\u2192 ' : '') + f.name, c.x + 12, fy);
+                ctx.textAlign = 'right';
+                ctx.fillStyle = ref ? ref.color + 'aa' : '#555';
+                ctx.font = '400 10px JetBrains Mono';
+                ctx.fillText(f.type, c.x + c.w - 10, fy);
+            });
+        ctx.globalAlpha = 1;
+    });
+    ctx.textBaseline = 'alphabetic';
+}
+
+function getCardAt(mx, my) {
+    const w = screenToWorld(mx, my);
+    return Object.values(cards).find(c => w.x >= c.x && w.x <= c.x + c.w && w.y >= c.y && w.y <= c.y + c.h) || null;
+}
+
+function markView() {
+    document
+        .querySelectorAll('.views button[data-view]')
+        .forEach(b => b.classList.toggle('active', b.dataset.view === view));
+}
+
+// Switches between the records and the schema view, each with its own camera
+function setView(v, keepView) {
+    if (v === view) return;
+    viewState[view] = { x: pan.x, y: pan.y, z: zoom };
+    view = v;
+    hoveredNode = null;
+    hoveredCard = null;
+    hoverSet = new Set();
+    animTarget = null;
+    canvas.style.cursor = '';
+    document.getElementById('tooltip').style.display = 'none';
+    markView();
+    const st = viewState[v];
+    if (keepView) draw();
+    else if (st) {
+        pan.x = st.x;
+        pan.y = st.y;
+        zoom = st.z;
+        draw();
+    } else zoomToAll();
+}
+
+function openTable(key) {
+    setView('records', true);
+    if (groups[key] && groups[key].nodes.length) zoomToGroup(key);
+    else draw();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Export
+// ─────────────────────────────────────────────────────────────────────────────
+
+function download(name, blob) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// Draws the current view into another context
+function renderWith(target) {
+    const prev = ctx;
+    ctx = target;
+    try {
+        draw();
+    } finally {
+        ctx = prev;
+    }
+}
+
+function exportPng(scale) {
+    const w = window.innerWidth,
+        h = window.innerHeight,
+        max = Math.min(16384 / Math.max(w, h), Math.sqrt(268e6 / (w * h)));
+    scale = Math.max(0.5, scale || 2);
+    if (scale > max) {
+        scale = max;
+        setStatus('PNG scale limited to ' + max.toFixed(1) + '\u00d7 by the browser');
+    }
+    const off = document.createElement('canvas');
+    off.width = Math.round(w * scale);
+    off.height = Math.round(h * scale);
+    const c = off.getContext('2d');
+    c.setTransform(scale, 0, 0, scale, 0, 0);
+    renderWith(c);
+    c.globalCompositeOperation = 'destination-over';
+    c.fillStyle = '#06060b';
+    c.fillRect(0, 0, w, h);
+    off.toBlob(b => download('xano-' + view + '.png', b), 'image/png');
+}
+
+// A stand-in for a 2D canvas context that records what draw() paints as SVG
+function svgContext(w, h) {
+    const real = ctx,
+        stack = [],
+        out = [],
+        defs = [];
+    let m = [1, 0, 0],
+        d = '';
+    const P = (x, y) => (x * m[0] + m[1]).toFixed(1) + ' ' + (y * m[0] + m[2]).toFixed(1),
+        esc = t => String(t).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const paint = c => {
+        if (c && c.id) return ['url(#' + c.id + ')', 1];
+        if (c === 'transparent') return ['#000', 0];
+        let x = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(c);
+        if (x) return ['#' + x[1], parseInt(x[2], 16) / 255];
+        x = /^rgba\(([^,]+),([^,]+),([^,]+),([^)]+)\)$/.exec(c);
+        if (x) return ['rgb(' + x[1] + ',' + x[2] + ',' + x[3] + ')', +x[4]];
+        return [c, 1];
+    };
+    const fill = (c, a) => {
+            const [p, o] = paint(c);
+            return ' fill="' + p + '" fill-opacity="' + (o * a).toFixed(3) + '"';
+        },
+        line = g => {
+            const [p, o] = paint(g.strokeStyle);
+            return (
+                ' fill="none" stroke="' +
+                p +
+                '" stroke-opacity="' +
+                (o * g.globalAlpha).toFixed(3) +
+                '" stroke-width="' +
+                (g.lineWidth * m[0]).toFixed(2) +
+                '" stroke-linecap="' +
+                g.lineCap +
+                '"' +
+                (g.dash.length ? ' stroke-dasharray="' + g.dash.map(v => v * m[0]).join(' ') + '"' : '')
+            );
+        };
+    return {
+        globalAlpha: 1,
+        fillStyle: '#000',
+        strokeStyle: '#000',
+        lineWidth: 1,
+        lineCap: 'butt',
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        dash: [],
+        globalCompositeOperation: 'source-over',
+        save() {
+            stack.push(m.slice());
+        },
+        restore() {
+            m = stack.pop() || [1, 0, 0];
+        },
+        translate(x, y) {
+            m = [m[0], m[1] + x * m[0], m[2] + y * m[0]];
+        },
+        scale(k) {
+            m = [m[0] * k, m[1], m[2]];
+        },
+        setTransform(a, b, c, e, f, g) {
+            m = [a, f, g];
+        },
+        clearRect() {},
+        beginPath() {
+            d = '';
+        },
+        moveTo(x, y) {
+            d += 'M' + P(x, y);
+        },
+        lineTo(x, y) {
+            d += 'L' + P(x, y);
+        },
+        bezierCurveTo(a, b, c, e, x, y) {
+            d += 'C' + P(a, b) + ' ' + P(c, e) + ' ' + P(x, y);
+        },
+        closePath() {
+            d += 'Z';
+        },
+        arc(x, y, r) {
+            const R = (r * m[0]).toFixed(1);
+            d +=
+                'M' +
+                P(x - r, y) +
+                'A' +
+                R +
+                ' ' +
+                R +
+                ' 0 1 0 ' +
+                P(x + r, y) +
+                'A' +
+                R +
+                ' ' +
+                R +
+                ' 0 1 0 ' +
+                P(x - r, y);
+        },
+        setLineDash(a) {
+            this.dash = a;
+        },
+        stroke() {
+            if (d && this.globalAlpha >= 0.05) out.push('<path d="' + d + '"' + line(this) + '/>');
+        },
+        fill() {
+            if (d && this.globalAlpha >= 0.05)
+                out.push('<path d="' + d + '"' + fill(this.fillStyle, this.globalAlpha) + '/>');
+        },
+        fillRect(x, y, rw, rh) {
+            if (this.globalAlpha >= 0.05)
+                out.push(
+                    '<rect x="' +
+                        (x * m[0] + m[1]).toFixed(1) +
+                        '" y="' +
+                        (y * m[0] + m[2]).toFixed(1) +
+                        '" width="' +
+                        (rw * m[0]).toFixed(1) +
+                        '" height="' +
+                        (rh * m[0]).toFixed(1) +
+                        '"' +
+                        fill(this.fillStyle, this.globalAlpha) +
+                        '/>',
+                );
+        },
+        strokeRect(x, y, rw, rh) {
+            this.beginPath();
+            this.moveTo(x, y);
+            this.lineTo(x + rw, y);
+            this.lineTo(x + rw, y + rh);
+            this.lineTo(x, y + rh);
+            this.closePath();
+            this.stroke();
+        },
+        measureText(t) {
+            real.font = this.font;
+            return real.measureText(t);
+        },
+        fillText(t, x, y) {
+            if (this.globalAlpha < 0.05) return;
+            const f = /^(\d+)?\s*([\d.]+)px\s+(.+)$/.exec(this.font) || [0, 400, 10, 'sans-serif'],
+                anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start',
+                base = { middle: 'central', top: 'hanging' }[this.textBaseline] || 'alphabetic';
+            out.push(
+                '<text x="' +
+                    (x * m[0] + m[1]).toFixed(1) +
+                    '" y="' +
+                    (y * m[0] + m[2]).toFixed(1) +
+                    '" font-family="' +
+                    esc(f[3]) +
+                    ', sans-serif" font-weight="' +
+                    (f[1] || 400) +
+                    '" font-size="' +
+                    (f[2] * m[0]).toFixed(2) +
+                    '" text-anchor="' +
+                    anchor +
+                    '" dominant-baseline="' +
+                    base +
+                    '"' +
+                    fill(this.fillStyle, this.globalAlpha) +
+                    '>' +
+                    esc(t) +
+                    '</text>',
+            );
+        },
+        createRadialGradient(x0, y0, r0, x1, y1, r1) {
+            const g = {
+                    id: 'g' + defs.length,
+                    stops: [],
+                    addColorStop(o, c) {
+                        this.stops.push([o, c]);
+                    },
+                },
+                cx = (x1 * m[0] + m[1]).toFixed(1),
+                cy = (y1 * m[0] + m[2]).toFixed(1),
+                r = (r1 * m[0]).toFixed(1);
+            defs.push(
+                () =>
+                    '<radialGradient id="' +
+                    g.id +
+                    '" gradientUnits="userSpaceOnUse" cx="' +
+                    cx +
+                    '" cy="' +
+                    cy +
+                    '" r="' +
+                    r +
+                    '">' +
+                    g.stops
+                        .map(([o, c]) => {
+                            const [p, a] = paint(c);
+                            return (
+                                '<stop offset="' + o + '" stop-color="' + p + '" stop-opacity="' + a.toFixed(3) + '"/>'
+                            );
+                        })
+                        .join('') +
+                    '</radialGradient>',
+            );
+            return g;
+        },
+        toString() {
+            return (
+                '<svg xmlns="http://www.w3.org/2000/svg" width="' +
+                w +
+                '" height="' +
+                h +
+                '" viewBox="0 0 ' +
+                w +
+                ' ' +
+                h +
+                '"><defs>' +
+                defs.map(f => f()).join('') +
+                '</defs><rect width="100%" height="100%" fill="#06060b"/>' +
+                out.join('') +
+                '</svg>'
+            );
+        },
+    };
+}
+
+function exportSvg() {
+    const c = svgContext(window.innerWidth, window.innerHeight);
+    renderWith(c);
+    download('xano-' + view + '.svg', new Blob([c.toString()], { type: 'image/svg+xml' }));
+}
+
+function exportData(format) {
+    const types = { json: 'application/json', dot: 'text/vnd.graphviz' };
+    download(
+        'xano-graph.' + format,
+        new Blob([exportGraph(format, nodes, edges)], { type: types[format] || 'application/xml' }),
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Focus, paths & inspector
+// ─────────────────────────────────────────────────────────────────────────────
+
+const esc = v => String(v).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+
+// The records within `hops` edges of start
+function neighbourhood(start, hops) {
+    const seen = new Set([start]);
+    let frontier = [start];
+    for (let i = 0; i < hops && frontier.length; i++) {
+        const next = [];
+        frontier.forEach(n =>
+            n.adj.forEach(e => {
+                const o = e.source === n ? e.target : e.source;
+                if (!seen.has(o)) {
+                    seen.add(o);
+                    next.push(o);
+                }
+            }),
+        );
+        frontier = next;
+    }
+    return seen;
+}
+
+// Shortest chain of edges from a to b in either direction, or null
+function findPath(a, b) {
+    const via = new Map([[a, null]]),
+        queue = [a];
+    for (let i = 0; i < queue.length && !via.has(b); i++) {
+        const n = queue[i];
+        n.adj.forEach(e => {
+            const o = e.source === n ? e.target : e.source;
+            if (!via.has(o)) {
+                via.set(o, e);
+                queue.push(o);
+            }
+        });
+    }
+    if (!via.has(b)) return null;
+    const steps = [];
+    for (let n = b; n !== a;) {
+        const e = via.get(n);
+        steps.unshift(e);
+        n = e.source === n ? e.target : e.source;
+    }
+    return steps;
+}
+
+// focus is { from, hops } to isolate a neighbourhood or { from, to } for a path
+function applyFocus() {
+    focusSet = null;
+    pathSteps = null;
+    const a = focus && nodeById[focus.from];
+    if (!a) return;
+    if (!focus.to) {
+        focusSet = neighbourhood(a, focus.hops);
+        return;
+    }
+    const b = nodeById[focus.to];
+    pathSteps = b ? findPath(a, b) : null;
+    if (pathSteps) {
+        focusSet = new Set([a]);
+        pathSteps.forEach(e => {
+            focusSet.add(e.source);
+            focusSet.add(e.target);
+        });
+    }
+}
+
+function setFocus(f) {
+    focus = f;
+    applyFocus();
+    renderInspector();
+    if (!focusSet) {
+        draw();
+        return;
+    }
+    const list = [...focusSet];
+    fitBox(
+        Math.min(...list.map(n => n.x)),
+        Math.min(...list.map(n => n.y)),
+        Math.max(...list.map(n => n.x)) + INSPECTOR_W / zoom,
+        Math.max(...list.map(n => n.y)),
+        3,
+    );
+}
+
+function pin(n) {
+    pinnedId = n.id;
+    pathFrom = null;
+    if (layout === 'radial' && view === 'records') {
+        placeLayout();
+        updateGroups();
+        buildSpatial();
+        centerOn(n);
+    }
+    renderInspector();
+    draw();
+}
+
+function unpin() {
+    pinnedId = null;
+    pathFrom = null;
+    focus = null;
+    applyFocus();
+    renderInspector();
+}
+
+function flyTo(n) {
+    if (focusSet && !focusSet.has(n)) {
+        focus = null;
+        applyFocus();
+    }
+    pin(n);
+    centerOn(n);
+}
+
+function centerOn(n) {
+    if (view !== 'records') setView('records', true);
+    const tz = Math.max(zoom, 1.6);
+    animTarget = {
+        px: (window.innerWidth - (pinnedId ? INSPECTOR_W : 0)) / 2 - n.x * tz,
+        py: window.innerHeight / 2 - n.y * tz,
+        z: tz,
+        t: 0,
+    };
+    requestAnimationFrame(animateZoom);
+}
+
+function nodeLink(n, text) {
+    return '<a data-node="' + esc(n.id) + '">' + esc(text) + '</a>';
+}
+
+// The side panel: the pinned record, or else the open audit or diff panel
+function renderInspector() {
+    const box = document.getElementById('inspector'),
+        n = pinnedId && nodeById[pinnedId];
+    if (!n) {
+        if (panel === 'audit' && report) renderAudit(box);
+        else if (panel === 'diff') renderDiff(box);
+        else box.style.display = 'none';
+        return;
+    }
+    const cfg = tables[n.table],
+        refs = {},
+        back = [],
+        scroll = box.scrollTop;
+    n.adj.forEach(e => {
+        if (e.source === n) (refs[e.fk] = refs[e.fk] || {})[String(e.target.record.id)] = e.target;
+        else back.push(e);
+    });
+    const ref = (k, v) => {
+        const t = refs[k] && refs[k][String(v)];
+        return t ? nodeLink(t, v) : esc(v);
+    };
+    let html =
+        '<button class="close" data-act="close" title="' +
+        (panel ? 'Back to the ' + panel : 'Close (Esc)') +
+        '">' +
+        (panel ? '←' : '×') +
+        '</button><div class="tt-type" style="color:' +
+        cfg.color +
+        '">' +
+        esc(cfg.label) +
+        '</div><div class="tt-name">' +
+        esc(n.label) +
+        '</div><div class="sec">Record</div>';
+    Object.entries(n.record).forEach(([k, v]) => {
+        let val;
+        if (v === null) val = '<span class="nil">\u2205</span>';
+        else if (refs[k] && Array.isArray(v) && v.every(x => x === null || typeof x !== 'object'))
+            val = '[' + v.map(x => ref(k, x)).join(', ') + ']';
+        else if (typeof v === 'object') val = '<pre>' + esc(JSON.stringify(v, null, 2)) + '</pre>';
+        else val = ref(k, v);
+        html += '<div class="row"><span class="fk">' + esc(k) + '</span><span class="fv">' + val + '</span></div>';
+    });
+    const out = n.adj.filter(e => e.source === n && !(e.fk in n.record));
+    if (out.length) {
+        html += '<div class="sec">References (' + out.length + ')</div>';
+        out.slice(0, MAX_LIST_ROWS).forEach(e => {
+            html +=
+                '<div class="row">' +
+                nodeLink(e.target, e.target.label) +
+                '<span class="via">' +
+                esc(e.label) +
+                '</span></div>';
+        });
+        if (out.length > MAX_LIST_ROWS) html += '<div class="note">+ ' + (out.length - MAX_LIST_ROWS) + ' more</div>';
+    }
+    const d = diff.get(n.id);
+    if (d) {
+        html +=
+            '<div class="sec" style="color:' +
+            DIFF_COLORS[d.kind] +
+            '">' +
+            (d.kind === 'changed'
+                ? 'Changed in ' + esc(against)
+                : 'Only in ' + esc(d.kind === 'a' ? source : against)) +
+            '</div>';
+        if (d.kind === 'changed')
+            Object.keys({ ...n.record, ...d.other }).forEach(k => {
+                const x = JSON.stringify(n.record[k]),
+                    y = JSON.stringify(d.other[k]);
+                if (x !== y)
+                    html +=
+                        '<div class="row"><span class="fk">' +
+                        esc(k) +
+                        '</span><span class="fv">' +
+                        esc(x === undefined ? '\u2205' : x) +
+                        ' <span class="via">\u2192</span> ' +
+                        esc(y === undefined ? '\u2205' : y) +
+                        '</span></div>';
+            });
+    }
+    if (back.length) {
+        html += '<div class="sec">Referenced by (' + back.length + ')</div>';
+        back.slice(0, MAX_LIST_ROWS).forEach(e => {
+            html +=
+                '<div class="row">' +
+                nodeLink(e.source, e.source.label) +
+                '<span class="via">' +
+                esc(e.join ? e.label : e.source.table + '.' + e.label) +
+                '</span></div>';
+        });
+        if (back.length > MAX_LIST_ROWS) html += '<div class="note">+ ' + (back.length - MAX_LIST_ROWS) + ' more</div>';
+    }
+    html +=
+        '<div class="sec">Explore</div><div class="actions">Isolate<button data-hops="1">1 hop</button><button data-hops="2">2 hops</button><input type="number" id="hops" min="1" value="' +
+        nHops +
+        '"><button data-hops="n">hops</button>' +
+        (focus ? '<button data-act="all">Show all</button>' : '') +
+        '</div><div class="actions"><button data-act="path"' +
+        (pathFrom ? ' class="active"' : '') +
+        '>Find path\u2026</button></div>';
+    if (pathFrom)
+        html +=
+            '<div class="note">Click another record to find the shortest chain of references to it. Shift+click does the same any time.</div>';
+    const from = focus && nodeById[focus.from];
+    if (from && !focus.to && focusSet)
+        html +=
+            '<div class="note">Showing ' +
+            focusSet.size +
+            ' records within ' +
+            focus.hops +
+            ' hop' +
+            (focus.hops > 1 ? 's' : '') +
+            ' of ' +
+            nodeLink(from, from.label) +
+            '.</div>';
+    if (from && focus.to) {
+        const to = nodeById[focus.to];
+        if (!pathSteps)
+            html +=
+                '<div class="note">No chain of references connects ' +
+                nodeLink(from, from.label) +
+                ' to ' +
+                (to ? nodeLink(to, to.label) : esc(focus.to)) +
+                ' among the loaded records.</div>';
+        else {
+            let cur = from;
+            html +=
+                '<div class="sec">Path (' +
+                pathSteps.length +
+                ' hop' +
+                (pathSteps.length > 1 ? 's' : '') +
+                ')</div><div class="row">' +
+                nodeLink(cur, cur.label) +
+                '</div>';
+            pathSteps.forEach(e => {
+                const fwd = e.source === cur;
+                cur = fwd ? e.target : e.source;
+                html +=
+                    '<div class="row"><span class="via">' +
+                    (fwd ? '\u2193 ' + esc(e.label) : '\u2191 ' + esc(e.join ? e.label : cur.table + '.' + e.label)) +
+                    '</span></div><div class="row">' +
+                    nodeLink(cur, cur.label) +
+                    '</div>';
+            });
+        }
+    }
+    box.innerHTML = html;
+    box.style.display = 'block';
+    box.scrollTop = scroll;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Mouse & keyboard
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The record under the mouse, looked up in the spatial grid
+function getNodeAt(mx, my) {
+    const w = screenToWorld(mx, my),
+        gx = Math.floor(w.x / CELL),
+        gy = Math.floor(w.y / CELL);
+    let best = null,
+        bestD = Infinity;
+    for (let ox = -1; ox <= 1; ox++)
+        for (let oy = -1; oy <= 1; oy++) {
+            const c = spatial.get((gx + ox) * 100003 + gy + oy);
+            if (c)
+                c.forEach(n => {
+                    const d = Math.sqrt((w.x - n.x) ** 2 + (w.y - n.y) ** 2);
+                    if (d < n.radius * 1.5 && d < bestD) {
+                        best = n;
+                        bestD = d;
+                    }
+                });
+        }
+    return best;
+}
+
+// The "+ load more" label of a table under the mouse
+function getMoreAt(mx, my) {
+    const w = screenToWorld(mx, my),
+        fs = Math.max(10, Math.min(18, 14 / zoom));
+    let best = null;
+    Object.entries(groups).forEach(([key, g]) => {
+        const pg = paging[key];
+        if (!g.nodes.length || !pg || !pg.next) return;
+        if (Math.abs(w.x - g.cx) < fs * 3 && Math.abs(w.y - (g.cy + g.radius + fs * 0.7)) < fs * 0.8) best = key;
+    });
+    return best;
+}
+
+function getGroupAt(mx, my) {
+    const w = screenToWorld(mx, my);
+    let best = null,
+        bestD = Infinity;
+    Object.entries(groups).forEach(([key, g]) => {
+        if (!g.nodes.length) return;
+        const ly = g.cy - g.radius - 8 / zoom;
+        const d = Math.sqrt((w.x - g.cx) ** 2 + (w.y - ly) ** 2);
+        if (d < 60 / zoom && d < bestD) {
+            best = key;
+            bestD = d;
+        }
+    });
+    return best;
+}
+
+canvas.addEventListener('mousedown', e => {
+    dragging = true;
+    dragStart = { x: e.clientX, y: e.clientY };
+    panStart = { x: pan.x, y: pan.y };
+    dragItem = null;
+    if (view === 'records') {
+        const node = getNodeAt(e.clientX, e.clientY),
+            grp = !node && getGroupAt(e.clientX, e.clientY);
+        if (node || grp)
+            dragItem = { nodes: node ? [node] : groups[grp].nodes, x: e.clientX, y: e.clientY, moved: false };
+    }
+});
+
+canvas.addEventListener('mousemove', e => {
+    if (dragging && dragItem) {
+        if (!dragItem.moved && Math.abs(e.clientX - dragStart.x) < 3 && Math.abs(e.clientY - dragStart.y) < 3) return;
+        dragItem.moved = true;
+        const dx = (e.clientX - dragItem.x) / zoom,
+            dy = (e.clientY - dragItem.y) / zoom;
+        dragItem.x = e.clientX;
+        dragItem.y = e.clientY;
+        dragItem.nodes.forEach(n => {
+            n.x += dx;
+            n.y += dy;
+            manual[n.id] = [n.x, n.y];
+        });
+        updateGroups();
+        draw();
+        return;
+    }
+    if (dragging) {
+        pan.x = panStart.x + (e.clientX - dragStart.x);
+        pan.y = panStart.y + (e.clientY - dragStart.y);
+        draw();
+        return;
+    }
+    if (view === 'schema') {
+        const c = getCardAt(e.clientX, e.clientY);
+        if (c !== hoveredCard) {
+            hoveredCard = c;
+            canvas.style.cursor = c ? 'pointer' : '';
+            draw();
+        }
+        return;
+    }
+    const node = getNodeAt(e.clientX, e.clientY),
+        ghost = node ? null : getGhostAt(e.clientX, e.clientY);
+    if (ghost !== hoveredGhost) {
+        hoveredGhost = ghost;
+        canvas.style.cursor = ghost ? 'pointer' : '';
+        draw();
+    }
+    if (node !== hoveredNode) {
+        hoveredNode = node;
+        canvas.style.cursor = node || ghost ? 'pointer' : '';
+        hoverSet = new Set();
+        if (node) node.adj.forEach(ed => hoverSet.add(ed.source === node ? ed.target : ed.source));
+        draw();
+    }
+    const tt = document.getElementById('tooltip');
+    if (node) {
+        const cfg = tables[node.table];
+        tt.style.display = 'block';
+        tt.style.left = Math.min(e.clientX + 16, window.innerWidth - 400) + 'px';
+        tt.style.top = Math.min(e.clientY + 16, window.innerHeight - 300) + 'px';
+        tt.querySelector('.tt-type').textContent = cfg.label;
+        tt.querySelector('.tt-type').style.color = cfg.color;
+        tt.querySelector('.tt-name').textContent = node.label;
+        let html = '';
+        Object.entries(node.record).forEach(([k, v]) => {
+            let val = v === null ? '\u2205' : typeof v === 'string' ? v : JSON.stringify(v);
+            if (val.length > 50) val = val.slice(0, 48) + '\u2026';
+            html += '<span class="fk">' + esc(k) + '</span>: <span class="fv">' + esc(val) + '</span><br>';
+        });
+        const connCount = node.adj.length;
+        if (connCount) html += '<br><span class="fk">connections</span>: <span class="fv">' + connCount + '</span>';
+        tt.querySelector('.tt-fields').innerHTML = html;
+    } else if (ghost) {
+        tt.style.display = 'block';
+        tt.style.left = Math.min(e.clientX + 16, window.innerWidth - 400) + 'px';
+        tt.style.top = Math.min(e.clientY + 16, window.innerHeight - 300) + 'px';
+        tt.querySelector('.tt-type').textContent = 'Missing ' + prettifyName(ghost.table);
+        tt.querySelector('.tt-type').style.color = '#f87171';
+        tt.querySelector('.tt-name').textContent = '#' + ghost.ref;
+        tt.querySelector('.tt-fields').innerHTML =
+            '<span class="fk">referenced by</span><br>' +
+            ghost.refs
+                .slice(0, 12)
+                .map(r => '<span class="fv">' + esc(r.src.label) + '</span> .' + esc(r.fk))
+                .join('<br>') +
+            (ghost.refs.length > 12 ? '<br>…' : '');
+    } else tt.style.display = 'none';
+});
+
+canvas.addEventListener('mouseup', e => {
+    if (
+        dragging &&
+        !(dragItem && dragItem.moved) &&
+        Math.abs(e.clientX - dragStart.x) < 3 &&
+        Math.abs(e.clientY - dragStart.y) < 3
+    ) {
+        if (view === 'schema') {
+            const c = getCardAt(e.clientX, e.clientY);
+            if (c) openTable(c.key);
+        } else {
+            const node = getNodeAt(e.clientX, e.clientY),
+                more = !node && getMoreAt(e.clientX, e.clientY);
+            const ghost = !node && getGhostAt(e.clientX, e.clientY);
+            if (ghost) pin(ghost.refs[0].src);
+            else if (node) {
+                const from = pathFrom || (e.shiftKey && pinnedId);
+                if (from && from !== node.id) {
+                    pathFrom = null;
+                    setFocus({ from, to: node.id });
+                } else pin(node);
+            } else if (more) (e.shiftKey ? loadAll : loadMore)(more);
+            else {
+                const grp = getGroupAt(e.clientX, e.clientY);
+                if (grp) zoomToGroup(grp);
+            }
+        }
+    }
+    if (dragItem && dragItem.moved) buildSpatial();
+    dragItem = null;
+    dragging = false;
+});
+
+document.getElementById('inspector').addEventListener('click', e => {
+    const t = e.target.closest('[data-node],[data-hops],[data-act]');
+    if (!t) return;
+    if (t.dataset.node) {
+        const n = nodeById[t.dataset.node];
+        if (n) flyTo(n);
+        return;
+    }
+    if (t.dataset.hops) {
+        if (t.dataset.hops === 'n') nHops = Math.max(1, parseInt(document.getElementById('hops').value, 10) || 1);
+        setFocus({ from: pinnedId, hops: t.dataset.hops === 'n' ? nHops : +t.dataset.hops });
+        return;
+    }
+    const act = t.dataset.act;
+    if (act === 'close') unpin();
+    else if (act === 'close-panel') {
+        panel = null;
+        renderInspector();
+    } else if (act === 'all') setFocus(null);
+    else if (act === 'path') {
+        pathFrom = pathFrom ? null : pinnedId;
+        renderInspector();
+    }
+});
+
+document
+    .querySelectorAll('.views button[data-view]')
+    .forEach(b => b.addEventListener('click', () => setView(b.dataset.view)));
+
+function togglePanel(name) {
+    panel = panel === name ? null : name;
+    if (panel) {
+        pinnedId = null;
+        pathFrom = null;
+    }
+    renderInspector();
+    draw();
+}
+
+document.getElementById('audit-btn').addEventListener('click', () => togglePanel('audit'));
+document.getElementById('diff-btn').addEventListener('click', () => togglePanel('diff'));
+document.getElementById('join-btn').addEventListener('click', () => {
+    collapse = joinKeys.length ? false : OVERRIDES.collapse || true;
+    buildGraph(graphData, true);
+});
+
+document.getElementById('sources').addEventListener('change', e => {
+    const u = new URL(window.location.href);
+    if (e.target.id === 'ds') {
+        u.searchParams.set('datasource', e.target.value);
+        if (e.target.value === against) u.searchParams.delete('compare');
+    } else if (e.target.value) u.searchParams.set('compare', e.target.value);
+    else u.searchParams.delete('compare');
+    window.location.href = u.toString();
+});
+
+document.querySelectorAll('#export button').forEach(b =>
+    b.addEventListener('click', () => {
+        const f = b.dataset.export;
+        if (f === 'png') exportPng(parseFloat(document.getElementById('png-scale').value));
+        else if (f === 'svg') exportSvg();
+        else exportData(f);
+    }),
+);
+
+canvas.addEventListener('dblclick', e => {
+    e.preventDefault();
+    zoomToAll();
+});
+
+canvas.addEventListener(
+    'wheel',
+    e => {
+        e.preventDefault();
+        const zf = e.deltaY < 0 ? 1.12 : 0.89;
+        pan.x = e.clientX - (e.clientX - pan.x) * zf;
+        pan.y = e.clientY - (e.clientY - pan.y) * zf;
+        zoom *= zf;
+        zoom = Math.max(0.08, Math.min(8, zoom));
+        draw();
+    },
+    { passive: false },
+);
+
+// searchTerm holds the plain words, which also match schema fields
+function setSearch(v) {
+    query = parseQuery(v);
+    searchTerm = query
+        ? query
+              .filter(t => t.kind === 'text' && !t.neg)
+              .map(t => t.value)
+              .join(' ')
+        : '';
+    matchId = null;
+    draw();
+}
+
+document.getElementById('search').addEventListener('input', e => setSearch(e.target.value));
+document.getElementById('search').addEventListener('keydown', e => {
+    if (e.key !== 'Enter' || !matches.length) return;
+    e.preventDefault();
+    const len = matches.length,
+        i = matches.findIndex(m => m.id === matchId),
+        next = i < 0 ? (e.shiftKey ? len - 1 : 0) : (i + (e.shiftKey ? len - 1 : 1)) % len;
+    matchId = matches[next].id;
+    centerOn(matches[next]);
+});
+
+document.addEventListener('keydown', e => {
+    if (e.key === 'Escape') {
+        panel = null;
+        unpin();
+        activeFilter = null;
+        searchTerm = '';
+        query = null;
+        matchId = null;
+        document.getElementById('search').value = '';
+        document.querySelectorAll('.legend-item').forEach(l => l.classList.remove('dimmed', 'active'));
+        draw();
+    }
+    if (document.activeElement.tagName === 'INPUT') return;
+    if (e.key === 'f' || e.key === 'F') zoomToAll();
+    if (e.key === 's' || e.key === 'S') setView(view === 'schema' ? 'records' : 'schema');
+});
+
+function resize() {
+    canvas.width = window.innerWidth * dpr;
+    canvas.height = window.innerHeight * dpr;
+    canvas.style.width = window.innerWidth + 'px';
+    canvas.style.height = window.innerHeight + 'px';
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    draw();
+}
+
+window.addEventListener('resize', resize);
+resize();
+window.addEventListener('hashchange', () => {
+    if (hashReady) readHash();
+});
+
+document.getElementById('layout').addEventListener('change', e => {
+    if (view !== 'records') setView('records', true);
+    setLayout(e.target.value, true);
+});
+
+document.getElementById('saved-views').addEventListener('change', e => {
+    if (e.target.value) openSaved(e.target.value);
+});
+
+document.querySelectorAll('[data-saved]').forEach(b =>
+    b.addEventListener('click', () => {
+        const act = b.dataset.saved,
+            sel = document.getElementById('saved-views').value;
+        if (act === 'save') saveView();
+        else if (act === 'delete' && sel) {
+            const views = loadViews();
+            delete views[sel];
+            storeViews(views);
+        } else if (act === 'export')
+            download(
+                'xano-views.json',
+                new Blob([JSON.stringify({ views: loadViews() }, null, 2)], { type: 'application/json' }),
+            );
+        else if (act === 'import') document.getElementById('views-file').click();
+    }),
+);
+
+document.getElementById('views-file').addEventListener('change', e => {
+    const f = e.target.files[0];
+    if (f) importViews(f);
+    e.target.value = '';
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Loading data
+// ─────────────────────────────────────────────────────────────────────────────
+
+// graph-data lives next to the page. ?since, ?per_page, ?view=schema,
+// ?datasource, ?compare and ?load=all are read from the page URL
+const base = window.location.href.replace(/\/visualizer.*$/, ''),
+    qs = new URLSearchParams(window.location.search),
+    since = qs.get('since'),
+    perPage = parseInt(qs.get('per_page'), 10) || PAGE_SIZE;
+if (qs.get('view') === 'schema') {
+    view = 'schema';
+    markView();
+}
+
+let source = qs.get('datasource'),
+    against = qs.get('compare');
+
+const credKey = 'xviz-credential:' + base;
+
+let credential = ACCESS.mode === 'public' ? null : sessionStorage.getItem(credKey);
+renderViews();
+
+// Calls graph-data; lists go out as key[]=value
+async function api(q, ds = source) {
+    const u = new URL(base + '/graph-data');
+    if (ds) u.searchParams.set('datasource', ds);
+    Object.entries(q).forEach(([k, v]) => {
+        if (v == null) return;
+        if (Array.isArray(v)) v.forEach(x => u.searchParams.append(k + '[]', x));
+        else u.searchParams.set(k, v);
+    });
+    if (since) u.searchParams.set('since', since);
+    const headers = {};
+    if (ACCESS.mode === 'secret') headers['X-Visualizer-Key'] = credential;
+    if (ACCESS.mode === 'user') headers.Authorization = 'Bearer ' + credential;
+    const res = await fetch(u.toString(), { headers });
+    if (res.status === 401 || res.status === 403) {
+        const err = new Error('access denied');
+        err.denied = true;
+        throw err;
+    }
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    return res.json();
+}
+
+function askCredential(err) {
+    credential = null;
+    sessionStorage.removeItem(credKey);
+    document.getElementById('loading').style.display = 'none';
+    const box = document.getElementById('auth');
+    box.querySelector('.msg').textContent =
+        ACCESS.mode === 'secret'
+            ? 'This graph is protected. Enter the visualizer key to continue.'
+            : 'Paste a Xano auth token' +
+              (ACCESS.authTable ? ' for the ' + ACCESS.authTable + ' table' : '') +
+              ' to continue.';
+    box.querySelector('input').placeholder = ACCESS.mode === 'secret' ? 'Visualizer key' : 'Auth token';
+    box.querySelector('.err').textContent = err || '';
+    box.style.display = 'flex';
+    box.querySelector('input').focus();
+}
+
+document.getElementById('auth-form').addEventListener('submit', e => {
+    e.preventDefault();
+    const v = document.getElementById('credential').value.trim();
+    if (!v) return;
+    credential = v;
+    sessionStorage.setItem(credKey, v);
+    document.getElementById('auth').style.display = 'none';
+    document.getElementById('loading').style.display = 'flex';
+    start();
+});
+
+function setStatus(msg) {
+    status = msg;
+    if (!built) document.querySelector('#loading .msg').textContent = msg || 'Loading graph data...';
+    else draw();
+}
+
+function rebuild() {
+    computeDiff();
+    buildGraph(
+        {
+            tables: against ? withOther() : store,
+            totals: tableTotals,
+            schema: meta.schema,
+            relationships: meta.relationships,
+        },
+        built,
+    );
+    if (!built) {
+        built = true;
+        document.getElementById('loading').style.display = 'none';
+    }
+    if (against) {
+        const b = document.getElementById('diff-btn');
+        b.style.display = '';
+        b.textContent = 'Diff' + (diff.size ? ' · ' + diff.size : '');
+    }
+}
+
+// Stubs are records fetched only because something references them; a page
+// that contains them later replaces them
+function addRecords(key, items, stub) {
+    const list = store[key] || (store[key] = []),
+        idx = new Map(list.map((r, i) => [String(r.id), i]));
+    items.forEach(r => {
+        const id = key + ':' + r.id,
+            at = idx.get(String(r.id));
+        if (at != null) {
+            if (!stub) {
+                list[at] = r;
+                stubs.delete(id);
+            }
+            return;
+        }
+        idx.set(String(r.id), list.length);
+        list.push(r);
+        if (stub) stubs.add(id);
+    });
+}
+
+// Loads the next page of a table, from the compared data source too
+async function loadPage(key) {
+    const p = paging[key] || (paging[key] = { next: 1, busy: false });
+    if (p.busy || !p.next) return;
+    p.busy = true;
+    setStatus('loading ' + prettifyName(key) + '\u2026');
+    try {
+        const r = await api({ table: key, page: p.next, per_page: perPage });
+        addRecords(key, r.items || [], false);
+        if (r.total != null) tableTotals[key] = r.total;
+        let next = r.next_page;
+        if (against) {
+            const o = await api({ table: key, page: p.next, per_page: perPage }, against);
+            addOther(key, o.items || []);
+            next = next || o.next_page;
+        }
+        p.next = next || null;
+    } finally {
+        p.busy = false;
+    }
+}
+
+function addOther(key, items) {
+    const m = other[key] || (other[key] = new Map());
+    items.forEach(r => m.set(String(r.id), r));
+}
+
+// Looks up the records loaded from one data source in the other, so records
+// that are on different pages in each are not reported as missing
+async function crossCheck() {
+    let any = false;
+    for (const key of Object.keys(store)) {
+        const b = other[key] || (other[key] = new Map()),
+            a = new Set(store[key].map(r => String(r.id))),
+            fresh = id => !crossed.has(key + ':' + id);
+        for (const [ids, ds] of [
+            [[...a].filter(id => !b.has(id) && fresh(id)), against],
+            [[...b.keys()].filter(id => !a.has(id) && fresh(id)), source],
+        ])
+            for (let i = 0; i < ids.length; i += REF_BATCH) {
+                const chunk = ids.slice(i, i + REF_BATCH);
+                setStatus('comparing ' + chunk.length + ' ' + prettifyName(key) + ' records with ' + ds + '\u2026');
+                const r = await api({ table: key, ids: chunk, per_page: chunk.length }, ds);
+                if (ds === against) addOther(key, r.items || []);
+                else addRecords(key, r.items || [], true);
+                chunk.forEach(id => crossed.add(key + ':' + id));
+                any = true;
+            }
+    }
+    return any;
+}
+
+// Records missing from the other data source (a, b) or different in it
+// (changed). Only records looked up in both count as missing
+function computeDiff() {
+    diff = new Map();
+    if (!against) return;
+    Object.keys(store).forEach(key => {
+        const b = other[key] || new Map(),
+            a = new Set();
+        store[key].forEach(r => {
+            const id = key + ':' + r.id,
+                o = b.get(String(r.id));
+            a.add(String(r.id));
+            if (o) {
+                if (JSON.stringify(r) !== JSON.stringify(o)) diff.set(id, { kind: 'changed', other: o });
+            } else if (crossed.has(id)) diff.set(id, { kind: 'a' });
+        });
+        b.forEach((o, k) => {
+            if (!a.has(k) && crossed.has(key + ':' + k)) diff.set(key + ':' + k, { kind: 'b', other: o });
+        });
+    });
+}
+
+// The loaded records plus those only in the compared data source
+function withOther() {
+    const t = {};
+    Object.keys(store).forEach(key => {
+        t[key] = store[key].concat(
+            [...(other[key] || new Map()).values()].filter(o => (diff.get(key + ':' + o.id) || {}).kind === 'b'),
+        );
+    });
+    return t;
+}
+
+function showSources() {
+    if (sources.length < 2) return;
+    const box = document.getElementById('sources'),
+        opt = (v, sel) =>
+            '<option value="' + esc(v) + '"' + (v === sel ? ' selected' : '') + '>' + esc(v) + '</option>';
+    box.innerHTML =
+        'Data <select id="ds" title="Data source">' +
+        sources.map(v => opt(v, source)).join('') +
+        '</select> compare with <select id="cmp" title="Highlight the records that differ in another data source"><option value="">\u2014</option>' +
+        sources
+            .filter(v => v !== source)
+            .map(v => opt(v, against))
+            .join('') +
+        '</select>';
+    box.style.display = 'flex';
+}
+
+// Fetches the records that loaded ones reference but that aren't loaded yet
+async function resolveRefs() {
+    const compared = against ? await crossCheck() : false,
+        want = {};
+    missing.forEach(m => {
+        const k = m.table + ':' + m.id;
+        if (requested.has(k) || stubs.has(m.src)) return;
+        requested.add(k);
+        (want[m.table] = want[m.table] || []).push(m.id);
+    });
+    for (const [key, ids] of Object.entries(want))
+        for (let i = 0; i < ids.length; i += REF_BATCH) {
+            const chunk = ids.slice(i, i + REF_BATCH);
+            setStatus('fetching ' + chunk.length + ' referenced ' + prettifyName(key) + ' records\u2026');
+            const r = await api({ table: key, ids: chunk, per_page: chunk.length });
+            addRecords(key, r.items || [], true);
+            chunk.forEach(id => checked.add(key + ':' + id));
+        }
+    return compared || Object.keys(want).length > 0;
+}
+
+async function loadMore(key) {
+    try {
+        await loadPage(key);
+        rebuild();
+        if (await resolveRefs()) rebuild();
+        setStatus('');
+    } catch (e) {
+        setStatus('error: ' + e.message);
+    }
+}
+
+async function loadAll(key) {
+    if (paging[key] && paging[key].busy) return;
+    try {
+        do {
+            await loadPage(key);
+            rebuild();
+        } while (paging[key].next);
+        if (await resolveRefs()) rebuild();
+        setStatus('');
+    } catch (e) {
+        setStatus('error: ' + e.message);
+    }
+}
+
+// Loads the catalog, then the first page of every table, then the records
+// they reference. An old graph-data that returns everything at once is drawn
+// as it is
+async function start() {
+    try {
+        const first = await api({});
+        const t = first.tables && !Array.isArray(first.tables) ? first.tables : first;
+        if (Object.values(t).some(Array.isArray)) {
+            document.getElementById('loading').style.display = 'none';
+            built = true;
+            fullData = true;
+            buildGraph(first);
+            return;
+        }
+        tableTotals = first.tables || {};
+        meta = { schema: first.schema || {}, relationships: first.relationships || [] };
+        sources = first.datasources || [];
+        source = first.datasource || source;
+        if (against && (against === source || !sources.includes(against))) against = null;
+        showSources();
+        const theirs = against ? (await api({}, against)).tables || {} : {};
+        Object.keys({ ...theirs, ...tableTotals }).forEach(k => {
+            store[k] = [];
+            if (!(k in tableTotals)) tableTotals[k] = 0;
+        });
+        const keys = Object.keys(tableTotals).filter(k => tableTotals[k] > 0 || theirs[k] > 0);
+        for (const k of keys) {
+            await loadPage(k);
+            rebuild();
+        }
+        if (qs.get('load') === 'all')
+            for (const k of keys)
+                while (paging[k].next) {
+                    await loadPage(k);
+                    rebuild();
+                }
+        if ((await resolveRefs()) || !built) rebuild();
+        setStatus('');
+    } catch (e) {
+        if (built) {
+            setStatus('error: ' + e.message);
+            return;
+        }
+        if (e.denied) {
+            askCredential(credential ? 'That credential was rejected.' : '');
+            return;
+        }
+        document.querySelector('#loading .msg').textContent = 'Error: ' + e.message;
+        document.getElementById('loading').querySelector('.spinner').style.display = 'none';
+    }
+}
+
+if (ACCESS.mode !== 'public' && !credential) askCredential('');
+else start();